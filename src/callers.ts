@@ -0,0 +1,20 @@
+/**
+ * Helpers for listeners added with a caller context
+ */
+
+import type { Caller } from './types';
+
+/**
+ * Removes every listener added with `caller` from each of the given events,
+ * e.g. in the destructor of an object that registered several of its methods.
+ * @param caller The caller context the listeners were added with
+ * @param events The events to detach the caller from
+ * @returns The total number of listeners removed
+ */
+export function detachCaller(caller: Caller, events: Iterable<{ removeByCaller(caller: Caller): number }>): number {
+  let removed = 0;
+  for (const event of events) {
+    removed += event.removeByCaller(caller);
+  }
+  return removed;
+}
@@ -0,0 +1,101 @@
+/**
+ * Combinators creating an event from several source events
+ */
+
+import { monoFrom } from './monoFrom';
+import type { EventSource, EventSources } from './types';
+import type { MonoRestrictedEvent } from './types/sync';
+
+/**
+ * Adds a listener to every source and returns a function removing all of them.
+ * The listener receives the index of the source along with the value.
+ */
+function subscribeAll(sources: EventSource<any>[], listener: (index: number, value: unknown) => void): () => void {
+  const unsubscribes = sources.map((source, index) => source.add((value: unknown) => listener(index, value)));
+  return () => {
+    for (const unsubscribe of unsubscribes) unsubscribe();
+  };
+}
+
+/**
+ * Creates a read-only event that emits every value emitted by any of the sources.
+ * @param sources The source events
+ * @returns The merged event
+ */
+export function merge<T extends unknown[]>(...sources: EventSources<T>): MonoRestrictedEvent<T[number]> {
+  return monoFrom<T[number]>((emit) =>
+    subscribeAll(sources, (_, value) => {
+      emit(value as T[number]);
+    }),
+  );
+}
+
+/**
+ * Creates a read-only event that emits a tuple of the latest value of every source.
+ * It first emits once every source has emitted, then on every emission of any source.
+ * @param sources The source events
+ * @returns The combined event
+ */
+export function combineLatest<T extends unknown[]>(...sources: EventSources<T>): MonoRestrictedEvent<T> {
+  return monoFrom<T>((emit) => {
+    const latest: unknown[] = new Array(sources.length);
+    const received: boolean[] = new Array(sources.length).fill(false);
+    let missing = sources.length;
+    return subscribeAll(sources, (index, value) => {
+      if (!received[index]) {
+        received[index] = true;
+        missing--;
+      }
+      latest[index] = value;
+      if (missing === 0) emit(latest.slice() as T);
+    });
+  });
+}
+
+/**
+ * Creates a read-only event that pairs up the values of the sources by order of emission.
+ * It emits a tuple as soon as every source has emitted a value that was not paired yet.
+ * @param sources The source events
+ * @returns The zipped event
+ */
+export function zip<T extends unknown[]>(...sources: EventSources<T>): MonoRestrictedEvent<T> {
+  return monoFrom<T>((emit) => {
+    const queues: unknown[][] = sources.map(() => []);
+    return subscribeAll(sources, (index, value) => {
+      queues[index].push(value);
+      if (queues.every((queue) => queue.length > 0)) {
+        emit(queues.map((queue) => queue.shift()) as T);
+      }
+    });
+  });
+}
+
+/**
+ * Creates a read-only event that follows the first source to emit.
+ * Once a source has emitted, the other sources are detached and only its values are emitted.
+ * @param sources The source events
+ * @returns The event following the winning source
+ */
+export function race<T extends unknown[]>(...sources: EventSources<T>): MonoRestrictedEvent<T[number]> {
+  return monoFrom<T[number]>((emit) => {
+    let winner = -1;
+    const unsubscribes: (() => void)[] = [];
+    // A source may emit while it is added (e.g. a replay event), in which case the remaining sources are not added
+    for (let index = 0; index < sources.length && winner === -1; index++) {
+      unsubscribes.push(
+        sources[index].add((value: T[number]) => {
+          if (winner === -1) {
+            winner = index;
+            unsubscribes.forEach((unsubscribe, i) => {
+              if (i !== index) unsubscribe();
+            });
+          }
+          if (winner === index) emit(value);
+        }),
+      );
+    }
+    return () => {
+      for (const unsubscribe of unsubscribes) unsubscribe();
+    };
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * Error classes for mono-event
+ */
+
+import type { Caller, ErrorHandler, GenericFunction } from './types';
+
+/**
+ * Library-wide error handler used by events with logErrors but without their own onError
+ */
+let defaultErrorHandler: ErrorHandler<any> | null = null;
+
+/**
+ * Sets the library-wide default error handler.
+ * It receives handler errors of every event created with `logErrors: true` and no `onError` option.
+ * Pass null to restore the default behavior of logging with console.error.
+ * @param handler The error handler, or null
+ */
+export function setDefaultErrorHandler(handler: ErrorHandler<any> | null): void {
+  defaultErrorHandler = handler;
+}
+
+/**
+ * Returns the library-wide default error handler, or null if none is set
+ */
+export function getDefaultErrorHandler(): ErrorHandler<any> | null {
+  return defaultErrorHandler;
+}
+
+/**
+ * Error raised when an asynchronous event handler does not settle within the emit timeout,
+ * or when no matching event is emitted within the timeout of waitFor()
+ */
+export class MonoTimeoutError extends Error {
+  /**
+   * The timeout in milliseconds that was exceeded
+   */
+  readonly timeout: number;
+
+  constructor(timeout: number, message = `Event handler timed out after ${timeout}ms`) {
+    super(message);
+    this.name = 'MonoTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error describing a single handler failure, reported through an AggregateError
+ * when an event is created with `aggregateErrors: true`
+ */
+export class MonoHandlerError extends Error {
+  /**
+   * The error thrown by the handler
+   */
+  readonly cause: unknown;
+
+  /**
+   * The handler that failed
+   */
+  readonly handler: GenericFunction;
+
+  /**
+   * The caller context the handler was registered with, or null
+   */
+  readonly caller: Caller | null;
+
+  /**
+   * The position of the handler in the execution order of the emission
+   */
+  readonly index: number;
+
+  constructor(cause: unknown, handler: GenericFunction, caller: Caller | null, index: number) {
+    super(`Event handler at index ${index} failed: ${cause instanceof Error ? cause.message : String(cause)}`);
+    this.name = 'MonoHandlerError';
+    this.cause = cause;
+    this.handler = handler;
+    this.caller = caller;
+    this.index = index;
+  }
+}
+
+/**
+ * Error raised by an event iterator created with `overflow: 'error'`
+ * when an emission does not fit into its buffer
+ */
+export class MonoBufferOverflowError extends Error {
+  /**
+   * The size of the buffer that overflowed
+   */
+  readonly bufferSize: number;
+
+  constructor(bufferSize: number) {
+    super(`Event iterator buffer overflowed (size ${bufferSize})`);
+    this.name = 'MonoBufferOverflowError';
+    this.bufferSize = bufferSize;
+  }
+}
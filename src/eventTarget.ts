@@ -0,0 +1,196 @@
+/**
+ * Interop between mono events and DOM EventTargets
+ */
+
+import { monoFrom } from './monoFrom';
+import type { MonoRestrictedEvent } from './types/sync';
+
+/**
+ * Creates a read-only event that emits the DOM events of `type` dispatched on `target`.
+ * The DOM listener is attached only while the event has listeners.
+ * With `once`, the event removes its listeners after the first DOM event; once `signal` aborts,
+ * the event removes its listeners and no longer listens to the target.
+ *
+ * @param target The EventTarget to listen to
+ * @param type The DOM event type
+ * @param options The DOM listener options
+ * @returns The read-only event
+ */
+export function fromEventTarget<E extends Event = Event>(
+  target: EventTarget,
+  type: string,
+  options: AddEventListenerOptions = {},
+): MonoRestrictedEvent<E> {
+  const { once = false, signal, capture = false, passive } = options;
+
+  const event: MonoRestrictedEvent<E> = monoFrom<E>((emit) => {
+    if (signal?.aborted) return () => {};
+
+    const listener = (domEvent: Event) => {
+      emit(domEvent as E);
+      if (once) event.removeAll();
+    };
+    const onAbort = () => {
+      event.removeAll();
+    };
+
+    target.addEventListener(type, listener, { capture, passive });
+    signal?.addEventListener('abort', onAbort);
+    return () => {
+      target.removeEventListener(type, listener, { capture });
+      signal?.removeEventListener('abort', onAbort);
+    };
+  });
+
+  return event;
+}
+
+/**
+ * Creates a CustomEvent carrying `detail`, or a plain Event with a `detail` property where CustomEvent is missing
+ * (Node.js 18)
+ */
+function createDetailEvent<T>(type: string, detail: T): CustomEvent<T> {
+  if (typeof CustomEvent === 'function') return new CustomEvent(type, { detail });
+  const domEvent = new Event(type) as CustomEvent<T>;
+  Object.defineProperty(domEvent, 'detail', { value: detail, enumerable: true });
+  return domEvent;
+}
+
+/**
+ * A DOM listener registered on the EventTarget created by toEventTarget
+ */
+interface Registration {
+  listener: EventListenerOrEventListenerObject;
+  capture: boolean;
+  wrapper: (domEvent: Event) => void; // Registered with the EventTarget in place of the listener
+  release: () => void; // Removes the signal listener of the registration
+}
+
+/**
+ * EventTarget dispatching the values of a mono event as CustomEvents.
+ * Registrations are tracked, including those ended by `once` and `signal`,
+ * so that the mono event is subscribed to only while the target has listeners.
+ */
+class MonoEventTarget<T> extends EventTarget {
+  private registrations: Registration[] = [];
+  private unsubscribe: (() => void) | null = null;
+
+  constructor(
+    private source: { add(handler: (args: T) => void): () => void },
+    private type: string,
+  ) {
+    super();
+  }
+
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions,
+  ): void {
+    if (type !== this.type || !listener) {
+      super.addEventListener(type, listener, options);
+      return;
+    }
+
+    const {
+      capture = false,
+      once = false,
+      passive,
+      signal,
+    } = typeof options === 'boolean' ? { capture: options } : options || {};
+    // Like EventTarget, ignore listeners that are already registered or whose signal already aborted
+    if (this.find(listener, capture) !== -1 || signal?.aborted) return;
+
+    const self = this;
+    const registration: Registration = {
+      listener,
+      capture,
+      wrapper(domEvent) {
+        if (once) self.forget(registration);
+        if (typeof listener === 'function') {
+          listener.call(self, domEvent);
+        } else {
+          listener.handleEvent(domEvent);
+        }
+      },
+      release: () => {},
+    };
+
+    if (signal) {
+      const onAbort = () => {
+        self.forget(registration);
+      };
+      signal.addEventListener('abort', onAbort);
+      registration.release = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    this.registrations.push(registration);
+    super.addEventListener(type, registration.wrapper, { capture, once, passive, signal });
+
+    if (!this.unsubscribe) {
+      const unsubscribe = this.source.add((args) => {
+        this.dispatchEvent(createDetailEvent(this.type, args));
+      });
+      // A source emitting while it is added (e.g. a replay event) may already have ended a `once` registration
+      if (this.registrations.length === 0) {
+        unsubscribe();
+      } else {
+        this.unsubscribe = unsubscribe;
+      }
+    }
+  }
+
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions,
+  ): void {
+    if (type !== this.type || !listener) {
+      super.removeEventListener(type, listener, options);
+      return;
+    }
+
+    const capture = typeof options === 'boolean' ? options : !!options?.capture;
+    const index = this.find(listener, capture);
+    if (index === -1) return;
+    const registration = this.registrations[index];
+    super.removeEventListener(type, registration.wrapper, { capture });
+    this.forget(registration);
+  }
+
+  private find(listener: EventListenerOrEventListenerObject, capture: boolean): number {
+    return this.registrations.findIndex(
+      (registration) => registration.listener === listener && registration.capture === capture,
+    );
+  }
+
+  /**
+   * Drops a registration that the EventTarget no longer holds, unsubscribing from the source after the last one
+   */
+  private forget(registration: Registration): void {
+    const index = this.registrations.indexOf(registration);
+    if (index === -1) return;
+    this.registrations.splice(index, 1);
+    registration.release();
+    if (this.registrations.length === 0 && this.unsubscribe) {
+      const unsubscribe = this.unsubscribe;
+      this.unsubscribe = null;
+      unsubscribe();
+    }
+  }
+}
+
+/**
+ * Exposes an event as an EventTarget that dispatches a CustomEvent of `type` with the emitted value as `detail`.
+ * The event is subscribed to only while the EventTarget has listeners for `type`.
+ *
+ * @param event The event to expose
+ * @param type The type of the dispatched CustomEvents
+ * @returns The EventTarget
+ */
+export function toEventTarget<T>(
+  event: { add(handler: (args: T) => void): () => void },
+  type = 'message',
+): EventTarget {
+  return new MonoEventTarget<T>(event, type);
+}
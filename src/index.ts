@@ -8,20 +8,86 @@ export {
   // Common types
   EventOptions,
   AsyncEventOptions,
+  ReplayOptions,
+  StateOptions,
+  StateListenerOptions,
+  Unsubscribe,
+  ListenerInfo,
+  BusPattern,
+  BusMessage,
+  NodeEventEmitterLike,
+  MonoScope,
+  AsyncEmitOptions,
   Caller,
+  ErrorContext,
+  ErrorHandler,
+  EventControl,
+  GlobalEmitMiddleware,
+  IterateOptions,
+  Operator,
+  WaitForOptions,
   // Sync types
   EventHandler,
+  CancelableEventHandler,
+  EmitMiddleware,
   MonoEvent,
   MonoRestrictedEvent,
+  MonoCancelableEvent,
+  MonoRestrictedCancelableEvent,
+  MonoState,
+  MonoComputed,
+  EventSource,
+  EventSources,
+  MonoNodeEmitter,
+  MonoBus,
+  MonoRestrictedBus,
+  MonoAsyncBus,
+  MonoRestrictedAsyncBus,
+  BusOptions,
+  NodeEmitterOptions,
   // Async types
   AsyncEventHandler,
+  CancelableAsyncEventHandler,
+  AsyncEmitMiddleware,
   MonoAsyncEvent,
   MonoRestrictedAsyncEvent,
+  MonoCancelableAsyncEvent,
+  MonoRestrictedCancelableAsyncEvent,
 } from './types';
 
+// Export errors
+export { MonoBufferOverflowError, MonoHandlerError, MonoTimeoutError, setDefaultErrorHandler } from './errors';
+
+// Export middleware
+export { useGlobalMiddleware } from './middleware';
+
+// Export caller helpers
+export { detachCaller } from './callers';
+
+// Export EventTarget interop
+export { fromEventTarget, toEventTarget } from './eventTarget';
+
+// Export Node.js EventEmitter interop
+export { fromNodeEmitter, toNodeEmitter } from './nodeEmitter';
+
+// Export combinators
+export { combineLatest, merge, race, zip } from './combinators';
+
+// Export operators
+export { distinctUntilChanged, filter, map, scan, take } from './operators';
+
 // Export functions
 export { mono } from './mono';
 export { monoAsync } from './monoAsync';
 export { monoRestrict } from './monoRestrict';
 export { monoRestrictAsync } from './monoRestrictAsync';
+export { monoReplay } from './monoReplay';
+export { monoRestrictReplay } from './monoRestrictReplay';
+export { monoFrom } from './monoFrom';
+export { monoBus } from './monoBus';
+export { monoRestrictBus } from './monoRestrictBus';
+export { monoState } from './monoState';
+export { monoComputed } from './monoComputed';
+export { monoEffect } from './monoEffect';
+export { monoScope } from './monoScope';
 export { monoDebounce, monoThrottle } from './monoDecorators';
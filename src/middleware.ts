@@ -0,0 +1,33 @@
+/**
+ * Global emit middleware for mono-event
+ */
+
+import type { GlobalEmitMiddleware } from './types';
+
+/**
+ * Middleware applied to the emissions of every event.
+ * The array is replaced rather than mutated, so running emissions keep the chain they started with.
+ */
+let globalMiddleware: GlobalEmitMiddleware[] = [];
+
+/**
+ * Registers a middleware that runs around the emissions of every event, before the event's own middleware.
+ * @param middleware The middleware function
+ * @returns A function to remove the middleware
+ */
+export function useGlobalMiddleware(middleware: GlobalEmitMiddleware): () => void {
+  globalMiddleware = globalMiddleware.concat(middleware);
+  return () => {
+    const index = globalMiddleware.indexOf(middleware);
+    if (index !== -1) {
+      globalMiddleware = globalMiddleware.slice(0, index).concat(globalMiddleware.slice(index + 1));
+    }
+  };
+}
+
+/**
+ * Returns the registered global middleware in registration order
+ */
+export function getGlobalMiddleware(): GlobalEmitMiddleware[] {
+  return globalMiddleware;
+}
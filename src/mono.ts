@@ -3,15 +3,25 @@
  */
 
 import type { EmitterOptions } from './types';
-import type { MonoEvent } from './types/sync';
-import { createEmitter, monoProto } from './utils';
+import type { MonoCancelableEvent, MonoEvent } from './types/sync';
+import { activityHook, createEmitter, monoProto } from './utils';
 
 /**
  * Creates a new synchronous event
  */
-export function mono<T>(options: EmitterOptions = {}): MonoEvent<T> {
+export function mono<T>(options: EmitterOptions & { cancelable: true }): MonoCancelableEvent<T>;
+export function mono<T>(options?: EmitterOptions): MonoEvent<T>;
+export function mono<T>(options: EmitterOptions = {}): MonoEvent<T> | MonoCancelableEvent<T> {
   // Set options with defaults
-  const { continueOnError = false, logErrors = false } = options;
+  const {
+    continueOnError = false,
+    logErrors = false,
+    aggregateErrors = false,
+    onError = null,
+    cancelable = false,
+    onFirstListener,
+    onLastListener,
+  } = options;
 
   // Create instance with shared methods
   const instance = Object.create(monoProto);
@@ -19,8 +29,14 @@ export function mono<T>(options: EmitterOptions = {}): MonoEvent<T> {
   // Add instance-specific properties (listeners are lazily initialized)
   instance.listeners = null;
   instance.onceListeners = null;
+  instance.onActivity = activityHook(onFirstListener, onLastListener);
+  instance.callers = null;
   instance.continueOnError = continueOnError;
   instance.logErrors = logErrors;
+  instance.aggregateErrors = aggregateErrors;
+  instance.onError = onError;
+  instance.cancelable = cancelable;
+  instance.middleware = null;
 
   // Define emitter property with getter for lazy initialization
   Object.defineProperty(instance, 'emitter', {
@@ -3,15 +3,30 @@
  */
 
 import type { AsyncEventOptions, EmitterOptions } from './types';
-import type { MonoAsyncEvent } from './types/async';
-import { createEmitter, monoAsyncProto } from './utils';
+import type { MonoAsyncEvent, MonoCancelableAsyncEvent } from './types/async';
+import { activityHook, checkParallel, createEmitter, monoAsyncProto } from './utils';
 
 /**
  * Creates a new asynchronous event
  */
-export function monoAsync<T>(options: AsyncEventOptions & EmitterOptions = {}): MonoAsyncEvent<T> {
+export function monoAsync<T>(
+  options: AsyncEventOptions & EmitterOptions & { cancelable: true },
+): MonoCancelableAsyncEvent<T>;
+export function monoAsync<T>(options?: AsyncEventOptions & EmitterOptions): MonoAsyncEvent<T>;
+export function monoAsync<T>(
+  options: AsyncEventOptions & EmitterOptions = {},
+): MonoAsyncEvent<T> | MonoCancelableAsyncEvent<T> {
   // Set options with defaults
-  const { parallel = false, continueOnError = false, logErrors = false } = options;
+  const {
+    parallel = false,
+    continueOnError = false,
+    logErrors = false,
+    aggregateErrors = false,
+    onError = null,
+    cancelable = false,
+    onFirstListener,
+    onLastListener,
+  } = options;
 
   // Create instance with shared methods
   const instance = Object.create(monoAsyncProto);
@@ -19,9 +34,15 @@ export function monoAsync<T>(options: AsyncEventOptions & EmitterOptions = {}):
   // Add instance-specific properties (listeners are lazily initialized)
   instance.listeners = null;
   instance.onceListeners = null;
-  instance.parallel = parallel;
+  instance.onActivity = activityHook(onFirstListener, onLastListener);
+  instance.callers = null;
+  instance.parallel = checkParallel(parallel);
   instance.continueOnError = continueOnError;
   instance.logErrors = logErrors;
+  instance.aggregateErrors = aggregateErrors;
+  instance.onError = onError;
+  instance.cancelable = cancelable;
+  instance.middleware = null;
 
   // Define emitter property with getter for lazy initialization
   Object.defineProperty(instance, 'emitter', {
@@ -0,0 +1,119 @@
+/**
+ * Event bus implementation
+ */
+
+import { mono } from './mono';
+import { monoAsync } from './monoAsync';
+import type { BusOptions } from './types';
+import type { MonoAsyncBus, MonoAsyncEvent } from './types/async';
+import type { MonoBus, MonoEvent } from './types/sync';
+
+/**
+ * Checks whether a name is a pattern
+ */
+function isPattern(name: string): boolean {
+  return name.indexOf('*') !== -1;
+}
+
+/**
+ * Creates a regular expression matching the names of a pattern, where `*` matches any sequence of characters
+ */
+function patternToRegExp(pattern: string): RegExp {
+  const parts = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${parts.join('.*')}$`);
+}
+
+/**
+ * Creates a new event bus that lazily creates one event per name (with mono, or monoAsync with `async: true`).
+ * Listeners added with a pattern such as `'*'` or `'user:*'` receive the name and the payload of every matching event.
+ * An event is dropped again when its last listener is removed.
+ *
+ * @param options The options of the events, and whether the bus is asynchronous
+ * @returns The event bus
+ */
+export function monoBus<E extends Record<string, unknown>>(options: BusOptions & { async: true }): MonoAsyncBus<E>;
+export function monoBus<E extends Record<string, unknown>>(options?: BusOptions): MonoBus<E>;
+export function monoBus<E extends Record<string, unknown>>(options: BusOptions = {}): MonoBus<E> | MonoAsyncBus<E> {
+  const { async = false, ...eventOptions } = options;
+  const events = new Map<string, MonoEvent<any> | MonoAsyncEvent<any>>();
+  const patterns = new Map<string, { regExp: RegExp; event: MonoEvent<any> | MonoAsyncEvent<any> }>();
+
+  const drop = (name: string) => {
+    if (isPattern(name)) {
+      patterns.delete(name);
+    } else {
+      events.delete(name);
+    }
+  };
+
+  const find = (name: string) => (isPattern(name) ? patterns.get(name)?.event : events.get(name));
+
+  const eventFor = (name: string) => {
+    const existing = find(name);
+    if (existing) return existing;
+
+    const settings = {
+      ...eventOptions,
+      onLastListener: () => drop(name),
+    };
+    const event = async ? monoAsync<any>(settings) : mono<any>(settings);
+    if (isPattern(name)) {
+      patterns.set(name, { regExp: patternToRegExp(name), event });
+    } else {
+      events.set(name, event);
+    }
+    return event;
+  };
+
+  /**
+   * Collects the events to emit to in order: the event of the name, then those of the matching patterns
+   */
+  const targets = (name: string) => {
+    const result: { event: MonoEvent<any> | MonoAsyncEvent<any>; message: boolean }[] = [];
+    const event = events.get(name);
+    if (event) result.push({ event, message: false });
+    for (const { regExp, event } of patterns.values()) {
+      if (regExp.test(name)) result.push({ event, message: true });
+    }
+    return result;
+  };
+
+  const bus = {
+    on(name: string, handler: (payload: any) => void, options?: object) {
+      const event = eventFor(name);
+      const unsubscribe = event.add(handler, options);
+      // add() attaches nothing for an already aborted signal, so that onLastListener never drops the event
+      if (event.listenerCount() === 0) drop(name);
+      return unsubscribe;
+    },
+
+    off(name: string, handler: (payload: any) => void) {
+      const event = find(name);
+      return event ? event.remove(handler) : false;
+    },
+
+    removeAll(name?: string) {
+      if (name === undefined) {
+        for (const event of Array.from(events.values())) event.removeAll();
+        for (const { event } of Array.from(patterns.values())) event.removeAll();
+        return;
+      }
+      const event = find(name);
+      if (event) event.removeAll();
+    },
+
+    emit: async
+      ? async (name: string, payload: unknown) => {
+          for (const { event, message } of targets(name)) {
+            await event.emit(message ? { name, payload } : payload);
+          }
+        }
+      : (name: string, payload: unknown) => {
+          for (const { event, message } of targets(name)) {
+            event.emit(message ? { name, payload } : payload);
+          }
+        },
+  };
+
+  return bus as MonoBus<E> | MonoAsyncBus<E>;
+}
@@ -0,0 +1,70 @@
+/**
+ * Computed state implementation
+ */
+
+import { trackRead } from './tracking';
+import type { EmitterOptions, StateOptions } from './types';
+import type { MonoComputed } from './types/sync';
+import { activityHook, monoComputedProto } from './utils';
+
+/**
+ * Creates a new read-only state whose value is computed from the states and computed states read by `compute`.
+ * The value is recomputed lazily when read after one of them changed, and listeners are notified when it changes.
+ * @param compute Function computing the value
+ */
+export function monoComputed<T>(compute: () => T, options: StateOptions<T> & EmitterOptions = {}): MonoComputed<T> {
+  // Set options with defaults
+  const {
+    equals = Object.is,
+    continueOnError = false,
+    logErrors = false,
+    aggregateErrors = false,
+    onError = null,
+    onFirstListener,
+    onLastListener,
+  } = options;
+
+  // Create instance with shared methods
+  const instance = Object.create(monoComputedProto);
+
+  // Add instance-specific properties (listeners are lazily initialized)
+  // onActivity is inherited: the sources are subscribed to only while the event has listeners
+  instance.listeners = null;
+  instance.onceListeners = null;
+  instance.callers = null;
+  instance.continueOnError = continueOnError;
+  instance.logErrors = logErrors;
+  instance.aggregateErrors = aggregateErrors;
+  instance.onError = onError;
+  instance.cancelable = false;
+  instance.middleware = null;
+  instance.current = undefined;
+  instance.version = 0;
+  instance.equals = equals;
+  instance.compute = compute;
+  instance.sources = null;
+  instance.subscriptions = null;
+  instance.computing = false;
+
+  // Call the lifecycle hooks in addition to subscribing to the sources
+  const hook = activityHook(onFirstListener, onLastListener);
+  if (hook) {
+    instance.onActivity = function (active: boolean) {
+      monoComputedProto.onActivity.call(this, active);
+      hook(active);
+    };
+  }
+
+  // Expose the current value as read-only, computing it first if needed
+  Object.defineProperty(instance, 'value', {
+    get: function () {
+      this.refresh();
+      trackRead(this);
+      return this.current;
+    },
+    enumerable: true,
+    configurable: false,
+  });
+
+  return instance as MonoComputed<T>;
+}
@@ -0,0 +1,45 @@
+/**
+ * Effect implementation
+ */
+
+import { type TrackedSource, isStale, releaseSubscriptions, runTracked, syncSubscriptions } from './tracking';
+
+/**
+ * Runs `effect` immediately and again whenever a state or computed state it read changes
+ * @param effect The function to run
+ * @returns A function to stop running the effect
+ */
+export function monoEffect(effect: () => void): () => void {
+  let sources = new Map<TrackedSource, number>();
+  let subscriptions: Map<TrackedSource, () => void> | null = new Map();
+  let running = false;
+
+  const run = () => {
+    running = true;
+    try {
+      sources = runTracked(effect).sources;
+    } finally {
+      running = false;
+    }
+    if (subscriptions) {
+      subscriptions = syncSubscriptions(subscriptions, sources, subscribe);
+    }
+  };
+
+  // Several sources may report the same change (e.g. a state and a computed state derived from it),
+  // and computed states refreshed by the running effect notify it while it already reads their new values
+  const onChange = () => {
+    if (subscriptions && !running && isStale(sources)) run();
+  };
+
+  const subscribe = (source: TrackedSource) => source.add(onChange);
+
+  run();
+
+  return function dispose() {
+    if (subscriptions) {
+      releaseSubscriptions(subscriptions);
+      subscriptions = null;
+    }
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Lazily activated event source implementation
+ */
+
+import type { EmitterOptions } from './types';
+import type { MonoRestrictedEvent } from './types/sync';
+import { createLazyEvent } from './utils';
+
+/**
+ * Creates a new restricted event whose values are produced by `producer`.
+ * `producer` is called with the function emitting values when the event gains its first listener,
+ * and the function it returns is called when the event loses its last listener, however it was removed.
+ *
+ * @param producer Function starting the source of the event and returning the function stopping it
+ * @returns The read-only event
+ */
+export function monoFrom<T>(
+  producer: (emit: (value: T) => void) => () => void,
+  options: Omit<EmitterOptions, 'cancelable'> = {},
+): MonoRestrictedEvent<T> {
+  return createLazyEvent<T>(producer, options);
+}
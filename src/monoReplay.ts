@@ -0,0 +1,57 @@
+/**
+ * Replay event implementation
+ */
+
+import type { EmitterOptions, ReplayOptions } from './types';
+import type { MonoCancelableEvent, MonoEvent } from './types/sync';
+import { activityHook, createEmitter, monoProto } from './utils';
+
+/**
+ * Creates a new synchronous event that replays its recent emissions to listeners added later
+ */
+export function monoReplay<T>(options: ReplayOptions & EmitterOptions & { cancelable: true }): MonoCancelableEvent<T>;
+export function monoReplay<T>(options?: ReplayOptions & EmitterOptions): MonoEvent<T>;
+export function monoReplay<T>(options: ReplayOptions & EmitterOptions = {}): MonoEvent<T> | MonoCancelableEvent<T> {
+  // Set options with defaults
+  const {
+    bufferSize = Number.POSITIVE_INFINITY,
+    windowMs = Number.POSITIVE_INFINITY,
+    continueOnError = false,
+    logErrors = false,
+    aggregateErrors = false,
+    onError = null,
+    cancelable = false,
+    onFirstListener,
+    onLastListener,
+  } = options;
+
+  // Create instance with shared methods
+  const instance = Object.create(monoProto);
+
+  // Add instance-specific properties (listeners are lazily initialized)
+  instance.listeners = null;
+  instance.onceListeners = null;
+  instance.onActivity = activityHook(onFirstListener, onLastListener);
+  instance.callers = null;
+  instance.continueOnError = continueOnError;
+  instance.logErrors = logErrors;
+  instance.aggregateErrors = aggregateErrors;
+  instance.onError = onError;
+  instance.cancelable = cancelable;
+  instance.middleware = null;
+  instance.replay = { entries: [], bufferSize, windowMs, settings: instance };
+
+  // Define emitter property with getter for lazy initialization
+  Object.defineProperty(instance, 'emitter', {
+    get: function () {
+      if (!this._emitterCache) {
+        this._emitterCache = createEmitter<T, MonoEvent<T>>(this);
+      }
+      return this._emitterCache;
+    },
+    enumerable: true,
+    configurable: false,
+  });
+
+  return instance as MonoEvent<T>;
+}
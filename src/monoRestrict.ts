@@ -3,36 +3,23 @@
  */
 
 import type { EmitterOptions } from './types';
-import type { MonoRestrictedEvent } from './types/sync';
-import { monoRestrictEmitProto, monoRestrictEventProto } from './utils';
+import type { MonoRestrictedCancelableEvent, MonoRestrictedEvent } from './types/sync';
+import { createRestrictedEvent } from './utils';
 
 /**
  * Creates a new restricted synchronous event with separated emission control
  */
-export function monoRestrict<T>(options: EmitterOptions = {}): {
+export function monoRestrict<T>(options: EmitterOptions & { cancelable: true }): {
+  event: MonoRestrictedCancelableEvent<T>;
+  emit: (args: T) => boolean;
+};
+export function monoRestrict<T>(options?: EmitterOptions): {
   event: MonoRestrictedEvent<T>;
   emit: (args: T) => void;
+};
+export function monoRestrict<T>(options: EmitterOptions = {}): {
+  event: MonoRestrictedEvent<T> | MonoRestrictedCancelableEvent<T>;
+  emit: (args: T) => unknown;
 } {
-  // Set options with defaults
-  const { continueOnError = false, logErrors = false } = options;
-
-  // Create event instance with shared methods
-  const eventInstance = Object.create(monoRestrictEventProto);
-
-  // Add instance-specific properties (listeners are lazily initialized)
-  eventInstance.listeners = null;
-  eventInstance.onceListeners = null;
-
-  // Create emit instance with shared methods
-  const emitInstance = Object.create(monoRestrictEmitProto);
-
-  // Add instance-specific properties to emitInstance
-  emitInstance.event = eventInstance;
-  emitInstance.continueOnError = continueOnError;
-  emitInstance.logErrors = logErrors;
-
-  return {
-    event: eventInstance as MonoRestrictedEvent<T>,
-    emit: emitInstance.emit.bind(emitInstance) as (args: T) => void,
-  };
+  return createRestrictedEvent<T>(options);
 }
@@ -2,19 +2,36 @@
  * Restricted asynchronous event implementation
  */
 
-import type { AsyncEventOptions, EmitterOptions } from './types';
-import type { MonoRestrictedAsyncEvent } from './types/async';
-import { monoRestrictAsyncEmitProto, monoRestrictAsyncEventProto } from './utils';
+import type { AsyncEmitOptions, AsyncEventOptions, EmitterOptions } from './types';
+import type { MonoRestrictedAsyncEvent, MonoRestrictedCancelableAsyncEvent } from './types/async';
+import { activityHook, checkParallel, monoRestrictAsyncEmitProto, monoRestrictAsyncEventProto } from './utils';
 
 /**
  * Creates a new restricted asynchronous event with separated emission control
  */
-export function monoRestrictAsync<T>(options: AsyncEventOptions & EmitterOptions = {}): {
+export function monoRestrictAsync<T>(options: AsyncEventOptions & EmitterOptions & { cancelable: true }): {
+  event: MonoRestrictedCancelableAsyncEvent<T>;
+  emit: (args: T, options?: AsyncEmitOptions) => Promise<boolean>;
+};
+export function monoRestrictAsync<T>(options?: AsyncEventOptions & EmitterOptions): {
   event: MonoRestrictedAsyncEvent<T>;
-  emit: (args: T) => Promise<void>;
+  emit: (args: T, options?: AsyncEmitOptions) => Promise<void>;
+};
+export function monoRestrictAsync<T>(options: AsyncEventOptions & EmitterOptions = {}): {
+  event: MonoRestrictedAsyncEvent<T> | MonoRestrictedCancelableAsyncEvent<T>;
+  emit: (args: T, options?: AsyncEmitOptions) => Promise<unknown>;
 } {
   // Set options with defaults
-  const { parallel = false, continueOnError = false, logErrors = false } = options;
+  const {
+    parallel = false,
+    continueOnError = false,
+    logErrors = false,
+    aggregateErrors = false,
+    onError = null,
+    cancelable = false,
+    onFirstListener,
+    onLastListener,
+  } = options;
 
   // Create event instance with shared methods
   const eventInstance = Object.create(monoRestrictAsyncEventProto);
@@ -22,18 +39,24 @@ export function monoRestrictAsync<T>(options: AsyncEventOptions & EmitterOptions
   // Add instance-specific properties (listeners are lazily initialized)
   eventInstance.listeners = null;
   eventInstance.onceListeners = null;
+  eventInstance.onActivity = activityHook(onFirstListener, onLastListener);
+  eventInstance.callers = null;
 
   // Create emit instance with shared methods
   const emitInstance = Object.create(monoRestrictAsyncEmitProto);
 
   // Add instance-specific properties to emitInstance
   emitInstance.event = eventInstance;
-  emitInstance.parallel = parallel;
+  emitInstance.parallel = checkParallel(parallel);
   emitInstance.continueOnError = continueOnError;
   emitInstance.logErrors = logErrors;
+  emitInstance.aggregateErrors = aggregateErrors;
+  emitInstance.onError = onError;
+  emitInstance.cancelable = cancelable;
+  emitInstance.middleware = null;
 
   return {
     event: eventInstance as MonoRestrictedAsyncEvent<T>,
-    emit: emitInstance.emit.bind(emitInstance) as (args: T) => Promise<void>,
+    emit: emitInstance.emit.bind(emitInstance) as (args: T, options?: AsyncEmitOptions) => Promise<unknown>,
   };
 }
@@ -0,0 +1,37 @@
+/**
+ * Restricted event bus implementation
+ */
+
+import { monoBus } from './monoBus';
+import type { BusOptions } from './types';
+import type { MonoRestrictedAsyncBus } from './types/async';
+import type { MonoRestrictedBus } from './types/sync';
+
+/**
+ * Creates a new restricted event bus with separated emission control.
+ * The bus only allows listening, while `emit` is kept by its owner.
+ *
+ * @param options The options of the events, and whether the bus is asynchronous
+ * @returns The read-only bus and its emit function
+ */
+export function monoRestrictBus<E extends Record<string, unknown>>(
+  options: BusOptions & { async: true },
+): {
+  bus: MonoRestrictedAsyncBus<E>;
+  emit: <K extends keyof E & string>(name: K, payload: E[K]) => Promise<void>;
+};
+export function monoRestrictBus<E extends Record<string, unknown>>(
+  options?: BusOptions,
+): {
+  bus: MonoRestrictedBus<E>;
+  emit: <K extends keyof E & string>(name: K, payload: E[K]) => void;
+};
+export function monoRestrictBus<E extends Record<string, unknown>>(
+  options: BusOptions = {},
+): {
+  bus: MonoRestrictedBus<E> | MonoRestrictedAsyncBus<E>;
+  emit: <K extends keyof E & string>(name: K, payload: E[K]) => unknown;
+} {
+  const { on, off, removeAll, emit } = monoBus<E>(options);
+  return { bus: { on, off, removeAll }, emit };
+}
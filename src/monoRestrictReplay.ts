@@ -0,0 +1,65 @@
+/**
+ * Restricted replay event implementation
+ */
+
+import type { EmitterOptions, ReplayOptions } from './types';
+import type { MonoRestrictedCancelableEvent, MonoRestrictedEvent } from './types/sync';
+import { activityHook, monoRestrictEmitProto, monoRestrictEventProto } from './utils';
+
+/**
+ * Creates a new restricted synchronous event that replays its recent emissions to listeners added later
+ */
+export function monoRestrictReplay<T>(options: ReplayOptions & EmitterOptions & { cancelable: true }): {
+  event: MonoRestrictedCancelableEvent<T>;
+  emit: (args: T) => boolean;
+};
+export function monoRestrictReplay<T>(options?: ReplayOptions & EmitterOptions): {
+  event: MonoRestrictedEvent<T>;
+  emit: (args: T) => void;
+};
+export function monoRestrictReplay<T>(options: ReplayOptions & EmitterOptions = {}): {
+  event: MonoRestrictedEvent<T> | MonoRestrictedCancelableEvent<T>;
+  emit: (args: T) => unknown;
+} {
+  // Set options with defaults
+  const {
+    bufferSize = Number.POSITIVE_INFINITY,
+    windowMs = Number.POSITIVE_INFINITY,
+    continueOnError = false,
+    logErrors = false,
+    aggregateErrors = false,
+    onError = null,
+    cancelable = false,
+    onFirstListener,
+    onLastListener,
+  } = options;
+
+  // Create event instance with shared methods
+  const eventInstance = Object.create(monoRestrictEventProto);
+
+  // Add instance-specific properties (listeners are lazily initialized)
+  eventInstance.listeners = null;
+  eventInstance.onceListeners = null;
+  eventInstance.onActivity = activityHook(onFirstListener, onLastListener);
+  eventInstance.callers = null;
+
+  // Create emit instance with shared methods
+  const emitInstance = Object.create(monoRestrictEmitProto);
+
+  // Add instance-specific properties to emitInstance
+  emitInstance.event = eventInstance;
+  emitInstance.continueOnError = continueOnError;
+  emitInstance.logErrors = logErrors;
+  emitInstance.aggregateErrors = aggregateErrors;
+  emitInstance.onError = onError;
+  emitInstance.cancelable = cancelable;
+  emitInstance.middleware = null;
+
+  // Replayed handlers use the error handling settings of the emit side
+  eventInstance.replay = { entries: [], bufferSize, windowMs, settings: emitInstance };
+
+  return {
+    event: eventInstance as MonoRestrictedEvent<T>,
+    emit: emitInstance.emit.bind(emitInstance) as (args: T) => unknown,
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Subscription scope implementation
+ */
+
+import type { MonoScope } from './types';
+import { disposeSymbol } from './utils';
+
+/**
+ * Creates a new scope collecting subscriptions from any event, which removes them all with a single `dispose()`.
+ * The scope is `Disposable`, so it can also be declared with `using`.
+ */
+export function monoScope(): MonoScope {
+  let collected: (() => void)[] | null = [];
+
+  const scope = {
+    get disposed() {
+      return collected === null;
+    },
+
+    collect<U extends () => void>(unsubscribe: U): U {
+      if (collected) {
+        collected.push(unsubscribe);
+      } else {
+        unsubscribe();
+      }
+      return unsubscribe;
+    },
+
+    dispose() {
+      if (!collected) return;
+      const functions = collected;
+      collected = null;
+
+      // Every function is called even if some of them throw
+      const errors: unknown[] = [];
+      for (let i = functions.length - 1; i >= 0; i--) {
+        try {
+          functions[i]();
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+      if (errors.length === 1) throw errors[0];
+      if (errors.length > 1) throw new AggregateError(errors, `${errors.length} collected function(s) failed`);
+    },
+
+    [disposeSymbol]() {
+      scope.dispose();
+    },
+  };
+
+  return scope;
+}
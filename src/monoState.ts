@@ -0,0 +1,55 @@
+/**
+ * State event implementation
+ */
+
+import type { EmitterOptions, StateOptions } from './types';
+import type { MonoState } from './types/sync';
+import { trackRead } from './tracking';
+import { activityHook, monoStateProto } from './utils';
+
+/**
+ * Creates a new event holding a current value, which notifies its listeners whenever the value changes
+ * @param initial The initial value
+ */
+export function monoState<T>(initial: T, options: StateOptions<T> & EmitterOptions = {}): MonoState<T> {
+  // Set options with defaults
+  const {
+    equals = Object.is,
+    continueOnError = false,
+    logErrors = false,
+    aggregateErrors = false,
+    onError = null,
+    onFirstListener,
+    onLastListener,
+  } = options;
+
+  // Create instance with shared methods
+  const instance = Object.create(monoStateProto);
+
+  // Add instance-specific properties (listeners are lazily initialized)
+  instance.listeners = null;
+  instance.onceListeners = null;
+  instance.onActivity = activityHook(onFirstListener, onLastListener);
+  instance.callers = null;
+  instance.continueOnError = continueOnError;
+  instance.logErrors = logErrors;
+  instance.aggregateErrors = aggregateErrors;
+  instance.onError = onError;
+  instance.cancelable = false;
+  instance.middleware = null;
+  instance.current = initial;
+  instance.version = 0;
+  instance.equals = equals;
+
+  // Expose the current value as read-only, recording the read in computed state and effects
+  Object.defineProperty(instance, 'value', {
+    get: function () {
+      trackRead(this);
+      return this.current;
+    },
+    enumerable: true,
+    configurable: false,
+  });
+
+  return instance as MonoState<T>;
+}
@@ -0,0 +1,125 @@
+/**
+ * Interop between mono events and Node.js EventEmitters
+ */
+
+import { mono } from './mono';
+import { monoFrom } from './monoFrom';
+import type { NodeEmitterOptions, NodeEventEmitterLike } from './types';
+import type { MonoEvent, MonoNodeEmitter, MonoRestrictedEvent } from './types/sync';
+
+/**
+ * Creates a read-only event that emits the `eventName` events of a Node.js EventEmitter.
+ * The Node.js listener is attached only while the event has listeners, so subscribing to 'error'
+ * marks errors as handled only while someone is listening. Errors thrown by the listeners follow
+ * the error options of the event, as with mono, and errors that are not caught propagate to the
+ * emit() call of the EventEmitter, as with Node.js listeners.
+ *
+ * @param emitter The EventEmitter to listen to
+ * @param eventName The event name
+ * @param options The emitter options, and whether to emit all arguments as an array
+ * @returns The read-only event
+ */
+export function fromNodeEmitter<T>(
+  emitter: NodeEventEmitterLike,
+  eventName: string | symbol,
+  options: NodeEmitterOptions = {},
+): MonoRestrictedEvent<T> {
+  const { multiArgs = false, ...emitterOptions } = options;
+  return monoFrom<T>((emit) => {
+    const listener = (...args: unknown[]) => {
+      emit((multiArgs ? args : args[0]) as T);
+    };
+    emitter.on(eventName, listener);
+    return () => {
+      emitter.removeListener(eventName, listener);
+    };
+  }, emitterOptions);
+}
+
+/**
+ * Exposes events as a Node.js style emitter with on/off/once/emit, for libraries expecting an EventEmitter.
+ * Each event name is backed by the event of the same key, and events for other names are created with mono()
+ * on first use. Listeners receive the single emitted value.
+ *
+ * Emitting 'error' without listeners throws the error, as with a Node.js EventEmitter. Errors thrown by
+ * listeners follow the error options of the backing event: with continueOnError the remaining listeners run
+ * and the error is only reported, otherwise it propagates from emit().
+ *
+ * @param events The events backing the emitter, by event name
+ * @returns The emitter
+ */
+export function toNodeEmitter<E extends Record<string, any>>(
+  events: { [K in keyof E]: MonoEvent<E[K]> } = {} as { [K in keyof E]: MonoEvent<E[K]> },
+): MonoNodeEmitter<E> {
+  const registry = new Map<string | symbol, MonoEvent<any>>(Object.entries(events));
+
+  const eventFor = (eventName: string | symbol): MonoEvent<any> => {
+    let event = registry.get(eventName);
+    if (!event) {
+      event = mono<any>();
+      registry.set(eventName, event);
+    }
+    return event;
+  };
+
+  const on = (eventName: string | symbol, listener: (...args: any[]) => void) => {
+    eventFor(eventName).add(listener);
+    return emitter;
+  };
+
+  const off = (eventName: string | symbol, listener: (...args: any[]) => void) => {
+    const event = registry.get(eventName);
+    if (event) event.remove(listener);
+    return emitter;
+  };
+
+  const emitter: MonoNodeEmitter<E> = {
+    on,
+    addListener: on,
+
+    once(eventName: string | symbol, listener: (...args: any[]) => void) {
+      eventFor(eventName).add(listener, { once: true });
+      return emitter;
+    },
+
+    off,
+    removeListener: off,
+
+    removeAllListeners(eventName?: string | symbol) {
+      if (eventName === undefined) {
+        for (const event of registry.values()) event.removeAll();
+      } else {
+        const event = registry.get(eventName);
+        if (event) event.removeAll();
+      }
+      return emitter;
+    },
+
+    emit(eventName: string | symbol, value?: unknown) {
+      const event = registry.get(eventName);
+      if (!event || event.listenerCount() === 0) {
+        if (eventName === 'error') {
+          throw value instanceof Error ? value : new Error(`Unhandled error. (${String(value)})`);
+        }
+        return false;
+      }
+      event.emit(value);
+      return true;
+    },
+
+    listenerCount(eventName: string | symbol) {
+      const event = registry.get(eventName);
+      return event ? event.listenerCount() : 0;
+    },
+
+    eventNames() {
+      const names: (string | symbol)[] = [];
+      for (const [eventName, event] of registry) {
+        if (event.listenerCount() > 0) names.push(eventName);
+      }
+      return names;
+    },
+  };
+
+  return emitter;
+}
@@ -0,0 +1,71 @@
+/**
+ * Operators for deriving events with pipe()
+ */
+
+import type { Operator } from './types';
+
+/**
+ * Transforms every value with `project`.
+ * @param project The function applied to each value
+ */
+export function map<T, R>(project: (value: T) => R): Operator<T, R> {
+  return (next) => (value) => next(project(value));
+}
+
+/**
+ * Passes on only the values matching `predicate`.
+ * @param predicate The function deciding whether a value is passed on
+ */
+export function filter<T>(predicate: (value: T) => boolean): Operator<T, T> {
+  return (next) => (value) => {
+    if (predicate(value)) next(value);
+  };
+}
+
+/**
+ * Passes on the running accumulation of the values, starting from `seed`.
+ * @param accumulator The function combining the accumulated value with each value
+ * @param seed The initial accumulated value
+ */
+export function scan<T, R>(accumulator: (accumulated: R, value: T) => R, seed: R): Operator<T, R> {
+  return (next) => {
+    let accumulated = seed;
+    return (value) => {
+      accumulated = accumulator(accumulated, value);
+      next(accumulated);
+    };
+  };
+}
+
+/**
+ * Passes on only the first `count` values.
+ * @param count The number of values to pass on
+ */
+export function take<T>(count: number): Operator<T, T> {
+  return (next) => {
+    let taken = 0;
+    return (value) => {
+      if (taken < count) {
+        taken++;
+        next(value);
+      }
+    };
+  };
+}
+
+/**
+ * Passes on a value only if it differs from the previous one.
+ * @param compare Function returning true if two values are equal (default: Object.is)
+ */
+export function distinctUntilChanged<T>(compare: (previous: T, current: T) => boolean = Object.is): Operator<T, T> {
+  return (next) => {
+    let hasPrevious = false;
+    let previous: T;
+    return (value) => {
+      if (hasPrevious && compare(previous, value)) return;
+      hasPrevious = true;
+      previous = value;
+      next(value);
+    };
+  };
+}
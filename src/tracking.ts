@@ -0,0 +1,88 @@
+/**
+ * Dependency tracking for computed state and effects
+ */
+
+/**
+ * A value holder whose reads can be tracked, such as a state or computed event
+ */
+export interface TrackedSource {
+  version: number; // Incremented every time the value changes
+  refresh?(): void; // Brings a lazily computed value up to date
+  add(handler: (value: any) => void): () => void;
+  add(caller: object, handler: (value: any) => void): () => void;
+}
+
+/**
+ * Sources read by the running tracked computation, with the version read
+ */
+let activeSources: Map<TrackedSource, number> | null = null;
+
+/**
+ * Records a read of `source` in the running tracked computation, if any
+ * @param source The source being read
+ */
+export function trackRead(source: TrackedSource): void {
+  if (activeSources && !activeSources.has(source)) {
+    activeSources.set(source, source.version);
+  }
+}
+
+/**
+ * Runs `compute` while recording the sources it reads
+ * @param compute The computation to run
+ * @returns The result of the computation and the sources it read with their versions
+ */
+export function runTracked<R>(compute: () => R): { value: R; sources: Map<TrackedSource, number> } {
+  const previous = activeSources;
+  const sources = new Map<TrackedSource, number>();
+  activeSources = sources;
+  try {
+    return { value: compute(), sources };
+  } finally {
+    activeSources = previous;
+  }
+}
+
+/**
+ * Checks whether any of the recorded sources changed since it was read
+ * @param sources The sources with the versions they were read at
+ */
+export function isStale(sources: Map<TrackedSource, number>): boolean {
+  for (const [source, version] of sources) {
+    if (source.refresh) source.refresh();
+    if (source.version !== version) return true;
+  }
+  return false;
+}
+
+/**
+ * Subscribes to the sources not yet subscribed and unsubscribes from those no longer read
+ * @param subscriptions The current subscriptions by source
+ * @param sources The sources to stay subscribed to
+ * @param subscribe Function subscribing to a source and returning the function to unsubscribe
+ * @returns The updated subscriptions
+ */
+export function syncSubscriptions(
+  subscriptions: Map<TrackedSource, () => void>,
+  sources: Map<TrackedSource, number>,
+  subscribe: (source: TrackedSource) => () => void,
+): Map<TrackedSource, () => void> {
+  const next = new Map<TrackedSource, () => void>();
+  for (const source of sources.keys()) {
+    next.set(source, subscriptions.get(source) ?? subscribe(source));
+  }
+  for (const [source, unsubscribe] of subscriptions) {
+    if (!next.has(source)) unsubscribe();
+  }
+  return next;
+}
+
+/**
+ * Unsubscribes from every source
+ * @param subscriptions The subscriptions by source
+ */
+export function releaseSubscriptions(subscriptions: Map<TrackedSource, () => void>): void {
+  for (const unsubscribe of subscriptions.values()) {
+    unsubscribe();
+  }
+}
@@ -11,7 +11,30 @@ export type EventHandler<T> = (args: T) => void;
 /**
  * Type definition for an asynchronous event handler
  */
-export type AsyncEventHandler<T> = (args: T) => Promise<void> | void;
+export type AsyncEventHandler<T> = (args: T, signal?: AbortSignal) => Promise<void> | void;
+
+/**
+ * Type definition for a synchronous emit middleware.
+ * Call `next` to continue the emission, optionally with replaced arguments; not calling it blocks the emission.
+ * If `next` is called later (e.g. after an await), emit() has already returned and errors are only reported.
+ */
+export type EmitMiddleware<T> = (args: T, next: (args: T) => void) => void;
+
+/**
+ * Type definition for an asynchronous emit middleware.
+ * Call and await `next` to continue the emission, optionally with replaced arguments; not calling it blocks the emission.
+ */
+export type AsyncEmitMiddleware<T> = (args: T, next: (args: T) => Promise<void>) => Promise<void> | void;
+
+/**
+ * Type definition for a synchronous handler of a cancelable event
+ */
+export type CancelableEventHandler<T> = (args: T, control: EventControl) => void;
+
+/**
+ * Type definition for an asynchronous handler of a cancelable event
+ */
+export type CancelableAsyncEventHandler<T> = (args: T, control: EventControl) => Promise<void> | void;
 
 /**
  * Generic function type
@@ -19,73 +42,1100 @@ export type AsyncEventHandler<T> = (args: T) => Promise<void> | void;
  */
 export type GenericFunction = (...args: any[]) => any;
 
-/**
- * Options for event handlers
- */
-export interface EventOptions {
+/**
+ * Options for event handlers
+ */
+export interface EventOptions<T = unknown> {
+  /**
+   * Whether the handler should be automatically removed after first execution
+   * @default false
+   */
+  once?: boolean;
+
+  /**
+   * Execution priority of the handler. Handlers with a higher priority run first,
+   * handlers with the same priority run in registration order.
+   * Ignored when `before` or `after` is specified.
+   * @default 0
+   */
+  priority?: number;
+
+  /**
+   * Whether to place the handler at the front of its priority group instead of the end
+   * @default false
+   */
+  prepend?: boolean;
+
+  /**
+   * A registered handler that this handler should run immediately before.
+   * The new handler takes over the priority of the referenced one.
+   * Ignored if the referenced handler is not registered.
+   */
+  before?: GenericFunction;
+
+  /**
+   * A registered handler that this handler should run immediately after.
+   * The new handler takes over the priority of the referenced one.
+   * Ignored if the referenced handler is not registered.
+   */
+  after?: GenericFunction;
+
+  /**
+   * An AbortSignal that removes the handler when it aborts.
+   * If the signal is already aborted, the handler is not added.
+   */
+  signal?: AbortSignal;
+  /**
+   * A predicate deciding whether the handler runs for an emitted payload.
+   * It is checked before a `once` handler is consumed, so a `once` handler waits for the first matching payload.
+   * A predicate that throws is handled like a failure of the handler, following the error options of the event.
+   */
+  filter?: (args: T) => boolean;
+  /**
+   * Whether to hold the caller context through a WeakRef, so that the listener does not keep it alive.
+   * The listener is removed once the caller is garbage collected. Only applies when a caller is given,
+   * and the handler must not reference the caller itself (e.g. pass a method rather than a closure).
+   * @default false
+   */
+  weak?: boolean;
+}
+
+/**
+ * Information about a failed event handler passed to an error handler
+ */
+export interface ErrorContext<T = unknown> {
+  /**
+   * The handler that threw
+   */
+  handler: GenericFunction;
+
+  /**
+   * The caller context the handler was registered with, or null
+   */
+  caller: Caller | null;
+
+  /**
+   * The arguments the event was emitted with
+   */
+  args: T;
+
+  /**
+   * The event (or restricted event) whose handler threw
+   */
+  event: object;
+}
+
+/**
+ * Type definition for a function receiving event handler errors
+ */
+export type ErrorHandler<T = unknown> = (error: unknown, context: ErrorContext<T>) => void;
+
+/**
+ * Options for event emitter
+ */
+export interface EmitterOptions {
+  /**
+   * Whether to continue execution when a handler throws an error
+   * @default false
+   */
+  continueOnError?: boolean;
+
+  /**
+   * Whether to log error information when handlers throw
+   * @default false
+   */
+  logErrors?: boolean;
+
+  /**
+   * Whether to run every handler and then throw an AggregateError of MonoHandlerError
+   * describing all failures. Execution continues after errors regardless of continueOnError.
+   * @default false
+   */
+  aggregateErrors?: boolean;
+
+  /**
+   * Function called with every error thrown by a handler.
+   * When omitted, errors are reported to the library-wide default error handler if logErrors is true.
+   */
+  onError?: ErrorHandler<any>;
+
+  /**
+   * Whether handlers receive an EventControl to stop propagation and prevent the default action.
+   * emit() then reports whether the default was prevented.
+   * @default false
+   */
+  cancelable?: boolean;
+
+  /**
+   * Function called when the event gains its first listener, e.g. to start an expensive source such as polling
+   */
+  onFirstListener?: () => void;
+
+  /**
+   * Function called when the event loses its last listener, e.g. to stop the source started by onFirstListener
+   */
+  onLastListener?: () => void;
+}
+
+/**
+ * Options for fromNodeEmitter
+ */
+export interface NodeEmitterOptions extends Omit<EmitterOptions, 'cancelable'> {
+  /**
+   * Whether to emit all the arguments of the Node.js event as an array instead of the first one
+   * @default false
+   */
+  multiArgs?: boolean;
+}
+
+/**
+ * Options for event buses
+ */
+export interface BusOptions
+  extends Omit<EmitterOptions, 'cancelable' | 'onFirstListener' | 'onLastListener'>,
+    Pick<AsyncEventOptions, 'parallel'> {
+  /**
+   * Whether to back each event name with monoAsync instead of mono
+   * @default false
+   */
+  async?: boolean;
+}
+
+/**
+ * Options for replay events
+ */
+export interface ReplayOptions {
+  /**
+   * Maximum number of recent emissions replayed to listeners added later
+   * @default Infinity
+   */
+  bufferSize?: number;
+
+  /**
+   * Maximum age in milliseconds of the emissions replayed to listeners added later
+   * @default Infinity
+   */
+  windowMs?: number;
+}
+
+/**
+ * The subset of a Node.js EventEmitter used by fromNodeEmitter
+ */
+export interface NodeEventEmitterLike {
+  on(eventName: string | symbol, listener: (...args: any[]) => void): unknown;
+  removeListener(eventName: string | symbol, listener: (...args: any[]) => void): unknown;
+}
+
+/**
+ * A pattern of event bus names, where `*` matches any sequence of characters (e.g. `'*'` or `'user:*'`)
+ */
+export type BusPattern = `${string}*${string}`;
+
+/**
+ * A message received by the pattern listeners of an event bus, with the name the payload was emitted under
+ */
+export type BusMessage<E> = { [K in keyof E]: { name: K; payload: E[K] } }[keyof E];
+
+/**
+ * Snapshot of a registered listener
+ */
+export interface ListenerInfo<H> {
+  handler: H;
+  caller: Caller | null;
+  once: boolean;
+  priority: number;
+}
+
+declare global {
+  interface SymbolConstructor {
+    /**
+     * The well-known symbol of explicit resource management, declared for libs that predate it
+     */
+    readonly dispose: unique symbol;
+  }
+}
+
+/**
+ * Object that can be scoped with `using`. Matches the global `Disposable` without requiring the ESNext lib.
+ */
+export interface Disposable {
+  [Symbol.dispose](): void;
+}
+
+/**
+ * Function removing a listener. It is also `Disposable`, so the listener can be scoped with `using`.
+ */
+export type Unsubscribe = (() => void) & Disposable;
+
+/**
+ * A scope collecting subscriptions so that they can be removed together
+ */
+export interface MonoScope extends Disposable {
+  /**
+   * Whether the scope has been disposed
+   */
+  readonly disposed: boolean;
+
+  /**
+   * Collect a function to call when the scope is disposed, such as the function returned by `add`.
+   * If the scope is already disposed, the function is called immediately.
+   * @param unsubscribe The function to collect
+   * @returns The same function
+   */
+  collect<U extends () => void>(unsubscribe: U): U;
+
+  /**
+   * Call every collected function in reverse order of collection and empty the scope
+   */
+  dispose(): void;
+}
+
+/**
+ * Options for state events
+ */
+export interface StateOptions<T> {
+  /**
+   * Function deciding whether a new value equals the current one. Setting an equal value does not emit.
+   * @default Object.is
+   */
+  equals?: (previous: T, next: T) => boolean;
+}
+
+/**
+ * Options for listeners of state events
+ */
+export interface StateListenerOptions<T = unknown> extends EventOptions<T> {
+  /**
+   * Whether to call the handler immediately with the current value
+   * @default false
+   */
+  immediate?: boolean;
+}
+
+/**
+ * Options for asynchronous events
+ */
+export interface AsyncEventOptions {
+  /**
+   * Whether to run async handlers in parallel (true) or sequentially (false).
+   * A number runs handlers in parallel with at most that many running at the same time; it must be a positive
+   * integer (or Infinity), otherwise creating the event throws a RangeError.
+   * @default false
+   */
+  parallel?: boolean | number;
+
+  /**
+   * Whether to continue execution when a handler throws an error
+   * @default false
+   */
+  continueOnError?: boolean;
+
+  /**
+   * Whether to log error information when handlers throw
+   * @default false
+   */
+  logErrors?: boolean;
+}
+
+/**
+ * Options for a single asynchronous emission
+ */
+export interface AsyncEmitOptions {
+  /**
+   * An AbortSignal that cancels the emission.
+   * When it aborts, the emission rejects with the abort reason and no further handlers are started.
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Maximum time in milliseconds each handler may run.
+   * A handler that exceeds it fails with a MonoTimeoutError.
+   */
+  timeout?: number;
+}
+
+/**
+ * Control object passed to the handlers of cancelable events
+ */
+export interface EventControl {
+  /**
+   * The AbortSignal of the handler, when an async emission was started with a signal or timeout
+   */
+  readonly signal?: AbortSignal;
+
+  /**
+   * Whether a handler of this emission has called preventDefault()
+   */
+  readonly defaultPrevented: boolean;
+
+  /**
+   * Mark the default action as prevented. emit() reports it in its return value.
+   */
+  preventDefault(): void;
+
+  /**
+   * Stop the remaining handlers of this emission from running.
+   * In parallel async emission, handlers that have already started are not affected.
+   */
+  stopPropagation(): void;
+}
+
+/**
+ * Type definition for a middleware registered with useGlobalMiddleware.
+ * It runs around the emissions of every event: `next` returns a promise for asynchronous events.
+ */
+export type GlobalEmitMiddleware = (args: unknown, next: (args: unknown) => unknown, event: object) => unknown;
+
+/**
+ * Type definition for an operator used with pipe().
+ * It receives the function passing values on to the next step and returns the function receiving values.
+ * It is called every time a derived event subscribes to its source, so it can keep per-subscription state.
+ */
+export type Operator<T, R> = (next: (value: R) => void) => (value: T) => void;
+
+/**
+ * Options for waiting for an event with next() or waitFor()
+ */
+export interface WaitForOptions {
+  /**
+   * An AbortSignal that cancels the wait. The promise rejects with the abort reason.
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Maximum time in milliseconds to wait. The promise rejects with a MonoTimeoutError when it elapses.
+   */
+  timeout?: number;
+}
+
+/**
+ * Options for iterating over an event with iterate()
+ */
+export interface IterateOptions {
+  /**
+   * Maximum number of emissions buffered while the consumer is not waiting for a value
+   * @default Infinity
+   */
+  bufferSize?: number;
+
+  /**
+   * What to do with an emission when the buffer is full:
+   * drop the oldest buffered value, drop the new value, or fail the iterator with a MonoBufferOverflowError
+   * @default 'drop-oldest'
+   */
+  overflow?: 'drop-oldest' | 'drop-newest' | 'error';
+}
+
+/**
+ * Type for objects that can be used as callers
+ */
+export type Caller = object;
+
+/**
+ * Type definition for a synchronous event
+ */
+export interface MonoEvent<T> {
+  /**
+   * Add a listener to the event
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(handler: EventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener to the event with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(caller: Caller, handler: EventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Remove a specific listener from the event
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(handler: EventHandler<T>): boolean;
+
+  /**
+   * Remove a specific listener with caller context from the event
+   * @param caller The caller object
+   * @param handler The event handler method to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(caller: Caller, handler: EventHandler<T>): boolean;
+
+  /**
+   * Remove all listeners from the event
+   */
+  removeAll(): void;
+
+  /**
+   * Remove every listener added with the given caller context
+   * @param caller The caller context the listeners were added with
+   * @returns The number of listeners removed
+   */
+  removeByCaller(caller: Caller): number;
+
+  /**
+   * Get the number of registered listeners, including once listeners
+   */
+  listenerCount(): number;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: EventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: Caller, handler: EventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<EventHandler<T>>[];
+
+  /**
+   * Wait for the next emission of the event
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the emitted arguments
+   */
+  next(options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Wait for the next emission whose arguments match the predicate
+   * @param predicate Function deciding whether the emitted arguments are the awaited ones
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the matching arguments
+   */
+  waitFor(predicate: (args: T) => boolean, options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Iterate over the emissions of the event with `for await`
+   * The listener is added immediately and removed when the iteration ends (e.g. with break)
+   * @param options Buffering options
+   * @returns An async iterator over the emitted arguments
+   */
+  iterate(options?: IterateOptions): AsyncIterableIterator<T>;
+
+  /**
+   * Emit an event with the provided arguments
+   * @param args The event arguments
+   */
+  emit(args: T): void;
+
+  /**
+   * Emit an event and collect the values returned by the handlers
+   * Handlers that were skipped because they threw (with continueOnError) contribute no value
+   * @param args The event arguments
+   * @returns The handler return values in execution order
+   */
+  emitCollect<R = unknown>(args: T): R[];
+
+  /**
+   * Emit an event and reduce the values returned by the handlers
+   * @param args The event arguments
+   * @param reducer Function combining the accumulator with each handler return value
+   * @param initialValue The initial accumulator value
+   * @returns The reduced value
+   */
+  emitReduce<R, V = unknown>(args: T, reducer: (accumulator: R, value: V) => R, initialValue: R): R;
+
+  /**
+   * Create a read-only event that receives the values of this event passed through the operators
+   * The derived event only subscribes to this event while it has listeners
+   * @param operators Operators such as map, filter, scan, take and distinctUntilChanged, applied in order
+   * @returns The derived event
+   */
+  pipe(): MonoRestrictedEvent<T>;
+  pipe<A>(op1: Operator<T, A>): MonoRestrictedEvent<A>;
+  pipe<A, B>(op1: Operator<T, A>, op2: Operator<A, B>): MonoRestrictedEvent<B>;
+  pipe<A, B, C>(op1: Operator<T, A>, op2: Operator<A, B>, op3: Operator<B, C>): MonoRestrictedEvent<C>;
+  pipe<A, B, C, D>(
+    op1: Operator<T, A>,
+    op2: Operator<A, B>,
+    op3: Operator<B, C>,
+    op4: Operator<C, D>,
+  ): MonoRestrictedEvent<D>;
+  pipe<A, B, C, D, E>(
+    op1: Operator<T, A>,
+    op2: Operator<A, B>,
+    op3: Operator<B, C>,
+    op4: Operator<C, D>,
+    op5: Operator<D, E>,
+  ): MonoRestrictedEvent<E>;
+  pipe<R = unknown>(...operators: Operator<any, any>[]): MonoRestrictedEvent<R>;
+
+  /**
+   * Add a middleware that runs around every emission of this event, after global middleware
+   * @param middleware The middleware function
+   * @returns A function to remove the middleware
+   */
+  use(middleware: EmitMiddleware<T>): () => void;
+}
+
+/**
+ * Type definition for a state event holding a current value
+ */
+export interface MonoState<T>
+  extends Omit<MonoEvent<T>, 'add' | 'emit' | 'emitCollect' | 'emitReduce' | 'use' | 'emitter'> {
+  /**
+   * The current value
+   */
+  readonly value: T;
+
+  /**
+   * Set the value and notify the listeners if it differs from the current one
+   * @param value The new value
+   */
+  set(value: T): void;
+
+  /**
+   * Set the value computed from the current one and notify the listeners if it changed
+   * @param updater Function computing the new value from the current one
+   */
+  update(updater: (current: T) => T): void;
+
+  /**
+   * Add a listener called with the new value on every change
+   * @param handler The event handler function
+   * @param options Options for the handler, including `immediate` to call it with the current value
+   * @returns A function to remove the listener
+   */
+  add(handler: EventHandler<T>, options?: StateListenerOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener called with the new value on every change, with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method
+   * @param options Options for the handler, including `immediate` to call it with the current value
+   * @returns A function to remove the listener
+   */
+  add(caller: Caller, handler: EventHandler<T>, options?: StateListenerOptions<T>): Unsubscribe;
+}
+
+/**
+ * Type definition for a read-only state computed from other states
+ */
+export type MonoComputed<T> = Omit<MonoState<T>, 'set' | 'update'>;
+
+/**
+ * Type definition for a restricted event bus (without emit method), mapping event names to payload types
+ */
+export interface MonoRestrictedBus<E extends Record<string, unknown>> {
+  /**
+   * Add a listener for the events of a name
+   * @param name The event name
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  on<K extends keyof E & string>(name: K, handler: (payload: E[K]) => void, options?: EventOptions<E[K]>): Unsubscribe;
+
+  /**
+   * Add a listener for the events of every name matching a pattern
+   * @param pattern The pattern, where `*` matches any sequence of characters
+   * @param handler The event handler function, called with the name and the payload
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  on(
+    pattern: BusPattern,
+    handler: (payload: BusMessage<E>) => void,
+    options?: EventOptions<BusMessage<E>>,
+  ): Unsubscribe;
+
+  /**
+   * Remove a listener for the events of a name
+   * @param name The event name
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  off<K extends keyof E & string>(name: K, handler: (payload: E[K]) => void): boolean;
+
+  /**
+   * Remove a listener for the events matching a pattern
+   * @param pattern The pattern the listener was added with
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  off(pattern: BusPattern, handler: (payload: BusMessage<E>) => void): boolean;
+
+  /**
+   * Remove all listeners of a name or pattern, or every listener of the bus if none is given
+   * @param name The event name or pattern
+   */
+  removeAll(name?: (keyof E & string) | BusPattern): void;
+}
+
+/**
+ * Type definition for an event bus, mapping event names to payload types
+ */
+export interface MonoBus<E extends Record<string, unknown>> extends MonoRestrictedBus<E> {
+  /**
+   * Emit an event to the listeners of its name, then to those of the matching patterns
+   * @param name The event name
+   * @param payload The event payload
+   */
+  emit<K extends keyof E & string>(name: K, payload: E[K]): void;
+}
+
+/**
+ * Type definition for an asynchronous event
+ */
+export interface MonoAsyncEvent<T> {
+  /**
+   * Add a listener to the event
+   * @param handler The event handler function (can be async)
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(handler: AsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener to the event with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method (can be async)
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(caller: Caller, handler: AsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Remove a specific listener from the event
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Remove a specific listener with caller context from the event
+   * @param caller The caller object
+   * @param handler The event handler method to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(caller: Caller, handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Remove all listeners from the event
+   */
+  removeAll(): void;
+
+  /**
+   * Remove every listener added with the given caller context
+   * @param caller The caller context the listeners were added with
+   * @returns The number of listeners removed
+   */
+  removeByCaller(caller: Caller): number;
+
+  /**
+   * Get the number of registered listeners, including once listeners
+   */
+  listenerCount(): number;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: Caller, handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<AsyncEventHandler<T>>[];
+
+  /**
+   * Wait for the next emission of the event
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the emitted arguments
+   */
+  next(options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Wait for the next emission whose arguments match the predicate
+   * @param predicate Function deciding whether the emitted arguments are the awaited ones
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the matching arguments
+   */
+  waitFor(predicate: (args: T) => boolean, options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Iterate over the emissions of the event with `for await`
+   * The listener is added immediately and removed when the iteration ends (e.g. with break)
+   * @param options Buffering options
+   * @returns An async iterator over the emitted arguments
+   */
+  iterate(options?: IterateOptions): AsyncIterableIterator<T>;
+
+  /**
+   * Emit an event with the provided arguments and wait for all handlers to complete
+   * @param args The event arguments
+   * @param options Cancellation and timeout options for this emission
+   * @returns A promise that resolves when all handlers have completed
+   */
+  emit(args: T, options?: AsyncEmitOptions): Promise<void>;
+
+  /**
+   * Emit an event and collect the values resolved by the handlers
+   * Handlers that were skipped because they threw (with continueOnError) contribute no value
+   * @param args The event arguments
+   * @param options Cancellation and timeout options for this emission
+   * @returns A promise that resolves with the handler results in execution order
+   */
+  emitCollect<R = unknown>(args: T, options?: AsyncEmitOptions): Promise<R[]>;
+
+  /**
+   * Emit an event and reduce the values resolved by the handlers
+   * @param args The event arguments
+   * @param reducer Function combining the accumulator with each handler result
+   * @param initialValue The initial accumulator value
+   * @param options Cancellation and timeout options for this emission
+   * @returns A promise that resolves with the reduced value
+   */
+  emitReduce<R, V = unknown>(
+    args: T,
+    reducer: (accumulator: R, value: V) => R,
+    initialValue: R,
+    options?: AsyncEmitOptions,
+  ): Promise<R>;
+
+  /**
+   * Add a middleware that runs around every emission of this event, after global middleware
+   * @param middleware The middleware function
+   * @returns A function to remove the middleware
+   */
+  use(middleware: AsyncEmitMiddleware<T>): () => void;
+}
+
+/**
+ * Type definition for a restricted event (without emit method)
+ */
+export interface MonoRestrictedEvent<T> {
+  /**
+   * Add a listener to the event
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(handler: EventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener to the event with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(caller: Caller, handler: EventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Remove a specific listener from the event
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(handler: EventHandler<T>): boolean;
+
+  /**
+   * Remove a specific listener with caller context from the event
+   * @param caller The caller object
+   * @param handler The event handler method to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(caller: Caller, handler: EventHandler<T>): boolean;
+
   /**
-   * Whether the handler should be automatically removed after first execution
-   * @default false
+   * Remove all listeners from the event
    */
-  once?: boolean;
-}
+  removeAll(): void;
 
-/**
- * Options for event emitter
- */
-export interface EmitterOptions {
   /**
-   * Whether to continue execution when a handler throws an error
-   * @default false
+   * Remove every listener added with the given caller context
+   * @param caller The caller context the listeners were added with
+   * @returns The number of listeners removed
    */
-  continueOnError?: boolean;
+  removeByCaller(caller: Caller): number;
 
   /**
-   * Whether to log error information when handlers throw
-   * @default false
+   * Get the number of registered listeners, including once listeners
    */
-  logErrors?: boolean;
+  listenerCount(): number;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: EventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: Caller, handler: EventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<EventHandler<T>>[];
+
+  /**
+   * Wait for the next emission of the event
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the emitted arguments
+   */
+  next(options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Wait for the next emission whose arguments match the predicate
+   * @param predicate Function deciding whether the emitted arguments are the awaited ones
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the matching arguments
+   */
+  waitFor(predicate: (args: T) => boolean, options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Iterate over the emissions of the event with `for await`
+   * The listener is added immediately and removed when the iteration ends (e.g. with break)
+   * @param options Buffering options
+   * @returns An async iterator over the emitted arguments
+   */
+  iterate(options?: IterateOptions): AsyncIterableIterator<T>;
+
+  /**
+   * Create a read-only event that receives the values of this event passed through the operators
+   * The derived event only subscribes to this event while it has listeners
+   * @param operators Operators such as map, filter, scan, take and distinctUntilChanged, applied in order
+   * @returns The derived event
+   */
+  pipe(): MonoRestrictedEvent<T>;
+  pipe<A>(op1: Operator<T, A>): MonoRestrictedEvent<A>;
+  pipe<A, B>(op1: Operator<T, A>, op2: Operator<A, B>): MonoRestrictedEvent<B>;
+  pipe<A, B, C>(op1: Operator<T, A>, op2: Operator<A, B>, op3: Operator<B, C>): MonoRestrictedEvent<C>;
+  pipe<A, B, C, D>(
+    op1: Operator<T, A>,
+    op2: Operator<A, B>,
+    op3: Operator<B, C>,
+    op4: Operator<C, D>,
+  ): MonoRestrictedEvent<D>;
+  pipe<A, B, C, D, E>(
+    op1: Operator<T, A>,
+    op2: Operator<A, B>,
+    op3: Operator<B, C>,
+    op4: Operator<C, D>,
+    op5: Operator<D, E>,
+  ): MonoRestrictedEvent<E>;
+  pipe<R = unknown>(...operators: Operator<any, any>[]): MonoRestrictedEvent<R>;
 }
 
 /**
- * Options for asynchronous events
+ * Type definition for an event that can be used as a source of combinators such as merge
  */
-export interface AsyncEventOptions {
+export type EventSource<T> = MonoEvent<T> | MonoRestrictedEvent<T>;
+
+/**
+ * Tuple of source events for the value types `T`
+ */
+export type EventSources<T extends unknown[]> = { [K in keyof T]: EventSource<T[K]> };
+
+/**
+ * Type definition for a Node.js style emitter backed by mono events, mapping event names to value types
+ */
+export interface MonoNodeEmitter<E extends Record<string, unknown>> {
   /**
-   * Whether to run async handlers in parallel (true) or sequentially (false)
-   * @default false
+   * Add a listener for the event
+   * @param eventName The event name
+   * @param listener The listener, called with the emitted value
+   * @returns The emitter, for chaining
    */
-  parallel?: boolean;
+  on<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  on(eventName: string | symbol, listener: (...args: any[]) => void): this;
 
   /**
-   * Whether to continue execution when a handler throws an error
-   * @default false
+   * Alias of `on`
    */
-  continueOnError?: boolean;
+  addListener<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  addListener(eventName: string | symbol, listener: (...args: any[]) => void): this;
 
   /**
-   * Whether to log error information when handlers throw
-   * @default false
+   * Add a listener removed after its first call
+   * @param eventName The event name
+   * @param listener The listener, called with the emitted value
+   * @returns The emitter, for chaining
    */
-  logErrors?: boolean;
+  once<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  once(eventName: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Remove a listener of the event
+   * @param eventName The event name
+   * @param listener The listener to remove
+   * @returns The emitter, for chaining
+   */
+  off<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  off(eventName: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Alias of `off`
+   */
+  removeListener<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  removeListener(eventName: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Remove all listeners of the event, or of every event if no name is given
+   * @param eventName The event name
+   * @returns The emitter, for chaining
+   */
+  removeAllListeners(eventName?: string | symbol): this;
+
+  /**
+   * Emit the event with a value. Emitting 'error' without listeners throws the value.
+   * @param eventName The event name
+   * @param value The value passed to the listeners
+   * @returns true if the event had listeners, false otherwise
+   */
+  emit<K extends keyof E & string>(eventName: K, value: E[K]): boolean;
+  emit(eventName: string | symbol, ...args: any[]): boolean;
+
+  /**
+   * Get the number of listeners of the event
+   * @param eventName The event name
+   */
+  listenerCount(eventName: string | symbol): number;
+
+  /**
+   * Get the names of the events that have listeners
+   */
+  eventNames(): (string | symbol)[];
 }
 
 /**
- * Type for objects that can be used as callers
+ * Type definition for a restricted asynchronous event (without emit method)
  */
-export type Caller = object;
+export interface MonoRestrictedAsyncEvent<T> {
+  /**
+   * Add a listener to the event
+   * @param handler The event handler function (can be async)
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(handler: AsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener to the event with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method (can be async)
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(caller: Caller, handler: AsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Remove a specific listener from the event
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Remove a specific listener with caller context from the event
+   * @param caller The caller object
+   * @param handler The event handler method to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(caller: Caller, handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Remove all listeners from the event
+   */
+  removeAll(): void;
+
+  /**
+   * Remove every listener added with the given caller context
+   * @param caller The caller context the listeners were added with
+   * @returns The number of listeners removed
+   */
+  removeByCaller(caller: Caller): number;
+
+  /**
+   * Get the number of registered listeners, including once listeners
+   */
+  listenerCount(): number;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: Caller, handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<AsyncEventHandler<T>>[];
+
+  /**
+   * Wait for the next emission of the event
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the emitted arguments
+   */
+  next(options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Wait for the next emission whose arguments match the predicate
+   * @param predicate Function deciding whether the emitted arguments are the awaited ones
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the matching arguments
+   */
+  waitFor(predicate: (args: T) => boolean, options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Iterate over the emissions of the event with `for await`
+   * The listener is added immediately and removed when the iteration ends (e.g. with break)
+   * @param options Buffering options
+   * @returns An async iterator over the emitted arguments
+   */
+  iterate(options?: IterateOptions): AsyncIterableIterator<T>;
+}
 
 /**
- * Type definition for a synchronous event
+ * Type definition for a cancelable synchronous event
  */
-export interface MonoEvent<T> {
+export interface MonoCancelableEvent<T> extends Omit<MonoEvent<T>, 'add' | 'remove' | 'has' | 'getListeners' | 'emit'> {
   /**
    * Add a listener to the event
    * @param handler The event handler function
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(handler: EventHandler<T>, options?: EventOptions): () => void;
+  add(handler: CancelableEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Add a listener to the event with a caller context
@@ -94,14 +1144,14 @@ export interface MonoEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(caller: Caller, handler: EventHandler<T>, options?: EventOptions): () => void;
+  add(caller: Caller, handler: CancelableEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Remove a specific listener from the event
    * @param handler The event handler function to remove
    * @returns true if the handler was found and removed, false otherwise
    */
-  remove(handler: EventHandler<T>): boolean;
+  remove(handler: CancelableEventHandler<T>): boolean;
 
   /**
    * Remove a specific listener with caller context from the event
@@ -109,47 +1159,64 @@ export interface MonoEvent<T> {
    * @param handler The event handler method to remove
    * @returns true if the handler was found and removed, false otherwise
    */
-  remove(caller: Caller, handler: EventHandler<T>): boolean;
+  remove(caller: Caller, handler: CancelableEventHandler<T>): boolean;
 
   /**
-   * Remove all listeners from the event
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
    */
-  removeAll(): void;
+  has(handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: Caller, handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<CancelableEventHandler<T>>[];
 
   /**
    * Emit an event with the provided arguments
    * @param args The event arguments
+   * @returns true if a handler called preventDefault(), false otherwise
    */
-  emit(args: T): void;
+  emit(args: T): boolean;
 }
 
 /**
- * Type definition for an asynchronous event
+ * Type definition for a restricted cancelable event (without emit method)
  */
-export interface MonoAsyncEvent<T> {
+export interface MonoRestrictedCancelableEvent<T>
+  extends Omit<MonoRestrictedEvent<T>, 'add' | 'remove' | 'has' | 'getListeners'> {
   /**
    * Add a listener to the event
-   * @param handler The event handler function (can be async)
+   * @param handler The event handler function
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(handler: AsyncEventHandler<T>, options?: EventOptions): () => void;
+  add(handler: CancelableEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Add a listener to the event with a caller context
    * @param caller The object that will be 'this' in the handler
-   * @param handler The event handler method (can be async)
+   * @param handler The event handler method
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(caller: Caller, handler: AsyncEventHandler<T>, options?: EventOptions): () => void;
+  add(caller: Caller, handler: CancelableEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Remove a specific listener from the event
    * @param handler The event handler function to remove
    * @returns true if the handler was found and removed, false otherwise
    */
-  remove(handler: AsyncEventHandler<T>): boolean;
+  remove(handler: CancelableEventHandler<T>): boolean;
 
   /**
    * Remove a specific listener with caller context from the event
@@ -157,32 +1224,41 @@ export interface MonoAsyncEvent<T> {
    * @param handler The event handler method to remove
    * @returns true if the handler was found and removed, false otherwise
    */
-  remove(caller: Caller, handler: AsyncEventHandler<T>): boolean;
+  remove(caller: Caller, handler: CancelableEventHandler<T>): boolean;
 
   /**
-   * Remove all listeners from the event
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
    */
-  removeAll(): void;
+  has(handler: CancelableEventHandler<T>): boolean;
 
   /**
-   * Emit an event with the provided arguments and wait for all handlers to complete
-   * @param args The event arguments
-   * @returns A promise that resolves when all handlers have completed
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: Caller, handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
    */
-  emit(args: T): Promise<void>;
+  getListeners(): ListenerInfo<CancelableEventHandler<T>>[];
 }
 
 /**
- * Type definition for a restricted event (without emit method)
+ * Type definition for a cancelable asynchronous event
  */
-export interface MonoRestrictedEvent<T> {
+export interface MonoCancelableAsyncEvent<T>
+  extends Omit<MonoAsyncEvent<T>, 'add' | 'remove' | 'has' | 'getListeners' | 'emit'> {
   /**
    * Add a listener to the event
    * @param handler The event handler function
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(handler: EventHandler<T>, options?: EventOptions): () => void;
+  add(handler: CancelableAsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Add a listener to the event with a caller context
@@ -191,14 +1267,14 @@ export interface MonoRestrictedEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(caller: Caller, handler: EventHandler<T>, options?: EventOptions): () => void;
+  add(caller: Caller, handler: CancelableAsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Remove a specific listener from the event
    * @param handler The event handler function to remove
    * @returns true if the handler was found and removed, false otherwise
    */
-  remove(handler: EventHandler<T>): boolean;
+  remove(handler: CancelableAsyncEventHandler<T>): boolean;
 
   /**
    * Remove a specific listener with caller context from the event
@@ -206,41 +1282,65 @@ export interface MonoRestrictedEvent<T> {
    * @param handler The event handler method to remove
    * @returns true if the handler was found and removed, false otherwise
    */
-  remove(caller: Caller, handler: EventHandler<T>): boolean;
+  remove(caller: Caller, handler: CancelableAsyncEventHandler<T>): boolean;
 
   /**
-   * Remove all listeners from the event
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
    */
-  removeAll(): void;
+  has(handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: Caller, handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<CancelableAsyncEventHandler<T>>[];
+
+  /**
+   * Emit an event with the provided arguments and wait for all handlers to complete
+   * @param args The event arguments
+   * @param options Cancellation and timeout options for this emission
+   * @returns A promise that resolves with true if a handler called preventDefault(), false otherwise
+   */
+  emit(args: T, options?: AsyncEmitOptions): Promise<boolean>;
 }
 
 /**
- * Type definition for a restricted asynchronous event (without emit method)
+ * Type definition for a restricted cancelable asynchronous event (without emit method)
  */
-export interface MonoRestrictedAsyncEvent<T> {
+export interface MonoRestrictedCancelableAsyncEvent<T>
+  extends Omit<MonoRestrictedAsyncEvent<T>, 'add' | 'remove' | 'has' | 'getListeners'> {
   /**
    * Add a listener to the event
-   * @param handler The event handler function (can be async)
+   * @param handler The event handler function
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(handler: AsyncEventHandler<T>, options?: EventOptions): () => void;
+  add(handler: CancelableAsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Add a listener to the event with a caller context
    * @param caller The object that will be 'this' in the handler
-   * @param handler The event handler method (can be async)
+   * @param handler The event handler method
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(caller: Caller, handler: AsyncEventHandler<T>, options?: EventOptions): () => void;
+  add(caller: Caller, handler: CancelableAsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Remove a specific listener from the event
    * @param handler The event handler function to remove
    * @returns true if the handler was found and removed, false otherwise
    */
-  remove(handler: AsyncEventHandler<T>): boolean;
+  remove(handler: CancelableAsyncEventHandler<T>): boolean;
 
   /**
    * Remove a specific listener with caller context from the event
@@ -248,10 +1348,90 @@ export interface MonoRestrictedAsyncEvent<T> {
    * @param handler The event handler method to remove
    * @returns true if the handler was found and removed, false otherwise
    */
-  remove(caller: Caller, handler: AsyncEventHandler<T>): boolean;
+  remove(caller: Caller, handler: CancelableAsyncEventHandler<T>): boolean;
 
   /**
-   * Remove all listeners from the event
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
    */
-  removeAll(): void;
+  has(handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: Caller, handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<CancelableAsyncEventHandler<T>>[];
+}
+
+/**
+ * Type definition for a restricted asynchronous event bus (without emit method), mapping event names to payload types
+ */
+export interface MonoRestrictedAsyncBus<E extends Record<string, unknown>> {
+  /**
+   * Add a listener for the events of a name
+   * @param name The event name
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  on<K extends keyof E & string>(
+    name: K,
+    handler: (payload: E[K]) => Promise<void> | void,
+    options?: EventOptions<E[K]>,
+  ): Unsubscribe;
+
+  /**
+   * Add a listener for the events of every name matching a pattern
+   * @param pattern The pattern, where `*` matches any sequence of characters
+   * @param handler The event handler function, called with the name and the payload
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  on(
+    pattern: BusPattern,
+    handler: (payload: BusMessage<E>) => Promise<void> | void,
+    options?: EventOptions<BusMessage<E>>,
+  ): Unsubscribe;
+
+  /**
+   * Remove a listener for the events of a name
+   * @param name The event name
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  off<K extends keyof E & string>(name: K, handler: (payload: E[K]) => Promise<void> | void): boolean;
+
+  /**
+   * Remove a listener for the events matching a pattern
+   * @param pattern The pattern the listener was added with
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  off(pattern: BusPattern, handler: (payload: BusMessage<E>) => Promise<void> | void): boolean;
+
+  /**
+   * Remove all listeners of a name or pattern, or every listener of the bus if none is given
+   * @param name The event name or pattern
+   */
+  removeAll(name?: (keyof E & string) | BusPattern): void;
+}
+
+/**
+ * Type definition for an asynchronous event bus, mapping event names to payload types
+ */
+export interface MonoAsyncBus<E extends Record<string, unknown>> extends MonoRestrictedAsyncBus<E> {
+  /**
+   * Emit an event to the listeners of its name, then to those of the matching patterns
+   * @param name The event name
+   * @param payload The event payload
+   */
+  emit<K extends keyof E & string>(name: K, payload: E[K]): Promise<void>;
 }
@@ -2,12 +2,34 @@
  * Asynchronous event type definitions
  */
 
-import type { EventOptions } from './common';
+import type {
+  AsyncEmitOptions,
+  BusMessage,
+  BusPattern,
+  EventControl,
+  EventOptions,
+  IterateOptions,
+  ListenerInfo,
+  Unsubscribe,
+  WaitForOptions,
+} from './common';
 
 /**
  * Type definition for an asynchronous event handler
+ * The signal is provided when the emission was started with a signal or timeout
  */
-export type AsyncEventHandler<T> = (_: T) => Promise<void> | void;
+export type AsyncEventHandler<T> = (_: T, signal?: AbortSignal) => Promise<void> | void;
+
+/**
+ * Type definition for an asynchronous emit middleware.
+ * Call and await `next` to continue the emission, optionally with replaced arguments; not calling it blocks the emission.
+ */
+export type AsyncEmitMiddleware<T> = (args: T, next: (args: T) => Promise<void>) => Promise<void> | void;
+
+/**
+ * Type definition for an asynchronous handler of a cancelable event
+ */
+export type CancelableAsyncEventHandler<T> = (_: T, control: EventControl) => Promise<void> | void;
 
 /**
  * Type definition for an asynchronous event
@@ -19,7 +41,7 @@ export interface MonoAsyncEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(handler: AsyncEventHandler<T>, options?: EventOptions): () => void;
+  add(handler: AsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Add a listener to the event with a caller context
@@ -28,7 +50,7 @@ export interface MonoAsyncEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(caller: object, handler: AsyncEventHandler<T>, options?: EventOptions): () => void;
+  add(caller: object, handler: AsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Remove a specific listener from the event
@@ -50,12 +72,99 @@ export interface MonoAsyncEvent<T> {
    */
   removeAll(): void;
 
+  /**
+   * Remove every listener added with the given caller context
+   * @param caller The caller context the listeners were added with
+   * @returns The number of listeners removed
+   */
+  removeByCaller(caller: object): number;
+
+  /**
+   * Get the number of registered listeners, including once listeners
+   */
+  listenerCount(): number;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: object, handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<AsyncEventHandler<T>>[];
+
+  /**
+   * Wait for the next emission of the event
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the emitted arguments
+   */
+  next(options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Wait for the next emission whose arguments match the predicate
+   * @param predicate Function deciding whether the emitted arguments are the awaited ones
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the matching arguments
+   */
+  waitFor(predicate: (args: T) => boolean, options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Iterate over the emissions of the event with `for await`
+   * The listener is added immediately and removed when the iteration ends (e.g. with break)
+   * @param options Buffering options
+   * @returns An async iterator over the emitted arguments
+   */
+  iterate(options?: IterateOptions): AsyncIterableIterator<T>;
+
   /**
    * Emit an event with the provided arguments and wait for all handlers to complete
    * @param args The event arguments
+   * @param options Cancellation and timeout options for this emission
    * @returns A promise that resolves when all handlers have completed
    */
-  emit(args: T): Promise<void>;
+  emit(args: T, options?: AsyncEmitOptions): Promise<void>;
+
+  /**
+   * Emit an event and collect the values resolved by the handlers
+   * Handlers that were skipped because they threw (with continueOnError) contribute no value
+   * @param args The event arguments
+   * @param options Cancellation and timeout options for this emission
+   * @returns A promise that resolves with the handler results in execution order
+   */
+  emitCollect<R = unknown>(args: T, options?: AsyncEmitOptions): Promise<R[]>;
+
+  /**
+   * Emit an event and reduce the values resolved by the handlers
+   * @param args The event arguments
+   * @param reducer Function combining the accumulator with each handler result
+   * @param initialValue The initial accumulator value
+   * @param options Cancellation and timeout options for this emission
+   * @returns A promise that resolves with the reduced value
+   */
+  emitReduce<R, V = unknown>(
+    args: T,
+    reducer: (accumulator: R, value: V) => R,
+    initialValue: R,
+    options?: AsyncEmitOptions,
+  ): Promise<R>;
+
+  /**
+   * Add a middleware that runs around every emission of this event, after global middleware
+   * @param middleware The middleware function
+   * @returns A function to remove the middleware
+   */
+  use(middleware: AsyncEmitMiddleware<T>): () => void;
 
   /**
    * A function that can be used directly with event listeners
@@ -82,7 +191,7 @@ export interface MonoRestrictedAsyncEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(handler: AsyncEventHandler<T>, options?: EventOptions): () => void;
+  add(handler: AsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Add a listener to the event with a caller context
@@ -91,7 +200,7 @@ export interface MonoRestrictedAsyncEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(caller: object, handler: AsyncEventHandler<T>, options?: EventOptions): () => void;
+  add(caller: object, handler: AsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Remove a specific listener from the event
@@ -112,4 +221,248 @@ export interface MonoRestrictedAsyncEvent<T> {
    * Remove all listeners from the event
    */
   removeAll(): void;
+
+  /**
+   * Remove every listener added with the given caller context
+   * @param caller The caller context the listeners were added with
+   * @returns The number of listeners removed
+   */
+  removeByCaller(caller: object): number;
+
+  /**
+   * Get the number of registered listeners, including once listeners
+   */
+  listenerCount(): number;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: object, handler: AsyncEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<AsyncEventHandler<T>>[];
+
+  /**
+   * Wait for the next emission of the event
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the emitted arguments
+   */
+  next(options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Wait for the next emission whose arguments match the predicate
+   * @param predicate Function deciding whether the emitted arguments are the awaited ones
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the matching arguments
+   */
+  waitFor(predicate: (args: T) => boolean, options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Iterate over the emissions of the event with `for await`
+   * The listener is added immediately and removed when the iteration ends (e.g. with break)
+   * @param options Buffering options
+   * @returns An async iterator over the emitted arguments
+   */
+  iterate(options?: IterateOptions): AsyncIterableIterator<T>;
+}
+
+/**
+ * Type definition for a cancelable asynchronous event
+ */
+export interface MonoCancelableAsyncEvent<T>
+  extends Omit<MonoAsyncEvent<T>, 'add' | 'remove' | 'has' | 'getListeners' | 'emit'> {
+  /**
+   * Add a listener to the event
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(handler: CancelableAsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener to the event with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(caller: object, handler: CancelableAsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Remove a specific listener from the event
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Remove a specific listener with caller context from the event
+   * @param caller The caller object
+   * @param handler The event handler method to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(caller: object, handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: object, handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<CancelableAsyncEventHandler<T>>[];
+
+  /**
+   * Emit an event with the provided arguments and wait for all handlers to complete
+   * @param args The event arguments
+   * @param options Cancellation and timeout options for this emission
+   * @returns A promise that resolves with true if a handler called preventDefault(), false otherwise
+   */
+  emit(args: T, options?: AsyncEmitOptions): Promise<boolean>;
+}
+
+/**
+ * Type definition for a restricted cancelable asynchronous event (without emit method)
+ */
+export interface MonoRestrictedCancelableAsyncEvent<T>
+  extends Omit<MonoRestrictedAsyncEvent<T>, 'add' | 'remove' | 'has' | 'getListeners'> {
+  /**
+   * Add a listener to the event
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(handler: CancelableAsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener to the event with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(caller: object, handler: CancelableAsyncEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Remove a specific listener from the event
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Remove a specific listener with caller context from the event
+   * @param caller The caller object
+   * @param handler The event handler method to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(caller: object, handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: object, handler: CancelableAsyncEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<CancelableAsyncEventHandler<T>>[];
+}
+
+/**
+ * Type definition for a restricted asynchronous event bus (without emit method), mapping event names to payload types
+ */
+export interface MonoRestrictedAsyncBus<E extends Record<string, unknown>> {
+  /**
+   * Add a listener for the events of a name
+   * @param name The event name
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  on<K extends keyof E & string>(
+    name: K,
+    handler: (payload: E[K]) => Promise<void> | void,
+    options?: EventOptions<E[K]>,
+  ): Unsubscribe;
+
+  /**
+   * Add a listener for the events of every name matching a pattern
+   * @param pattern The pattern, where `*` matches any sequence of characters
+   * @param handler The event handler function, called with the name and the payload
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  on(
+    pattern: BusPattern,
+    handler: (payload: BusMessage<E>) => Promise<void> | void,
+    options?: EventOptions<BusMessage<E>>,
+  ): Unsubscribe;
+
+  /**
+   * Remove a listener for the events of a name
+   * @param name The event name
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  off<K extends keyof E & string>(name: K, handler: (payload: E[K]) => Promise<void> | void): boolean;
+
+  /**
+   * Remove a listener for the events matching a pattern
+   * @param pattern The pattern the listener was added with
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  off(pattern: BusPattern, handler: (payload: BusMessage<E>) => Promise<void> | void): boolean;
+
+  /**
+   * Remove all listeners of a name or pattern, or every listener of the bus if none is given
+   * @param name The event name or pattern
+   */
+  removeAll(name?: (keyof E & string) | BusPattern): void;
+}
+
+/**
+ * Type definition for an asynchronous event bus, mapping event names to payload types
+ */
+export interface MonoAsyncBus<E extends Record<string, unknown>> extends MonoRestrictedAsyncBus<E> {
+  /**
+   * Emit an event to the listeners of its name, then to those of the matching patterns
+   * @param name The event name
+   * @param payload The event payload
+   */
+  emit<K extends keyof E & string>(name: K, payload: E[K]): Promise<void>;
 }
@@ -16,12 +16,170 @@ export type GenericFunction = (...args: any[]) => any;
 /**
  * Options for event handlers
  */
-export interface EventOptions {
+export interface EventOptions<T = unknown> {
   /**
    * Whether the handler should be automatically removed after first execution
    * @default false
    */
   once?: boolean;
+
+  /**
+   * Execution priority of the handler. Handlers with a higher priority run first,
+   * handlers with the same priority run in registration order.
+   * Ignored when `before` or `after` is specified.
+   * @default 0
+   */
+  priority?: number;
+
+  /**
+   * Whether to place the handler at the front of its priority group instead of the end
+   * @default false
+   */
+  prepend?: boolean;
+
+  /**
+   * A registered handler that this handler should run immediately before.
+   * The new handler takes over the priority of the referenced one.
+   * Ignored if the referenced handler is not registered.
+   */
+  before?: GenericFunction;
+
+  /**
+   * A registered handler that this handler should run immediately after.
+   * The new handler takes over the priority of the referenced one.
+   * Ignored if the referenced handler is not registered.
+   */
+  after?: GenericFunction;
+
+  /**
+   * An AbortSignal that removes the handler when it aborts.
+   * If the signal is already aborted, the handler is not added.
+   */
+  signal?: AbortSignal;
+  /**
+   * A predicate deciding whether the handler runs for an emitted payload.
+   * It is checked before a `once` handler is consumed, so a `once` handler waits for the first matching payload.
+   * A predicate that throws is handled like a failure of the handler, following the error options of the event.
+   */
+  filter?: (args: T) => boolean;
+  /**
+   * Whether to hold the caller context through a WeakRef, so that the listener does not keep it alive.
+   * The listener is removed once the caller is garbage collected. Only applies when a caller is given,
+   * and the handler must not reference the caller itself (e.g. pass a method rather than a closure).
+   * @default false
+   */
+  weak?: boolean;
+}
+
+/**
+ * Options for replay events
+ */
+export interface ReplayOptions {
+  /**
+   * Maximum number of recent emissions replayed to listeners added later
+   * @default Infinity
+   */
+  bufferSize?: number;
+
+  /**
+   * Maximum age in milliseconds of the emissions replayed to listeners added later
+   * @default Infinity
+   */
+  windowMs?: number;
+}
+
+/**
+ * The subset of a Node.js EventEmitter used by fromNodeEmitter
+ */
+export interface NodeEventEmitterLike {
+  on(eventName: string | symbol, listener: (...args: any[]) => void): unknown;
+  removeListener(eventName: string | symbol, listener: (...args: any[]) => void): unknown;
+}
+
+/**
+ * A pattern of event bus names, where `*` matches any sequence of characters (e.g. `'*'` or `'user:*'`)
+ */
+export type BusPattern = `${string}*${string}`;
+
+/**
+ * A message received by the pattern listeners of an event bus, with the name the payload was emitted under
+ */
+export type BusMessage<E> = { [K in keyof E]: { name: K; payload: E[K] } }[keyof E];
+
+/**
+ * Snapshot of a registered listener
+ */
+export interface ListenerInfo<H> {
+  handler: H;
+  caller: object | null;
+  once: boolean;
+  priority: number;
+}
+
+declare global {
+  interface SymbolConstructor {
+    /**
+     * The well-known symbol of explicit resource management, declared for libs that predate it
+     */
+    readonly dispose: unique symbol;
+  }
+}
+
+/**
+ * Object that can be scoped with `using`. Matches the global `Disposable` without requiring the ESNext lib.
+ */
+export interface Disposable {
+  [Symbol.dispose](): void;
+}
+
+/**
+ * Function removing a listener. It is also `Disposable`, so the listener can be scoped with `using`.
+ */
+export type Unsubscribe = (() => void) & Disposable;
+
+/**
+ * A scope collecting subscriptions so that they can be removed together
+ */
+export interface MonoScope extends Disposable {
+  /**
+   * Whether the scope has been disposed
+   */
+  readonly disposed: boolean;
+
+  /**
+   * Collect a function to call when the scope is disposed, such as the function returned by `add`.
+   * If the scope is already disposed, the function is called immediately.
+   * @param unsubscribe The function to collect
+   * @returns The same function
+   */
+  collect<U extends () => void>(unsubscribe: U): U;
+
+  /**
+   * Call every collected function in reverse order of collection and empty the scope
+   */
+  dispose(): void;
+}
+
+/**
+ * Options for state events
+ */
+export interface StateOptions<T> {
+  /**
+   * Function deciding whether a new value equals the current one. Setting an equal value does not emit.
+   * @default Object.is
+   */
+  equals?: (previous: T, next: T) => boolean;
+}
+
+/**
+ * Options for listeners of state events
+ */
+export interface StateListenerOptions<T = unknown> extends EventOptions<T> {
+  /**
+   * Whether to call the handler immediately with the current value
+   * @default false
+   */
+  immediate?: boolean;
 }
 
 /**
@@ -29,10 +187,101 @@ export interface EventOptions {
  */
 export interface AsyncEventOptions {
   /**
-   * Whether to run async handlers in parallel (true) or sequentially (false)
+   * Whether to run async handlers in parallel (true) or sequentially (false).
+   * A number runs handlers in parallel with at most that many running at the same time; it must be a positive
+   * integer (or Infinity), otherwise creating the event throws a RangeError.
    * @default false
    */
-  parallel?: boolean;
+  parallel?: boolean | number;
+}
+
+/**
+ * Options for a single asynchronous emission
+ */
+export interface AsyncEmitOptions {
+  /**
+   * An AbortSignal that cancels the emission.
+   * When it aborts, the emission rejects with the abort reason and no further handlers are started.
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Maximum time in milliseconds each handler may run.
+   * A handler that exceeds it fails with a MonoTimeoutError.
+   */
+  timeout?: number;
+}
+
+/**
+ * Control object passed to the handlers of cancelable events
+ */
+export interface EventControl {
+  /**
+   * The AbortSignal of the handler, when an async emission was started with a signal or timeout
+   */
+  readonly signal?: AbortSignal;
+
+  /**
+   * Whether a handler of this emission has called preventDefault()
+   */
+  readonly defaultPrevented: boolean;
+
+  /**
+   * Mark the default action as prevented. emit() reports it in its return value.
+   */
+  preventDefault(): void;
+
+  /**
+   * Stop the remaining handlers of this emission from running.
+   * In parallel async emission, handlers that have already started are not affected.
+   */
+  stopPropagation(): void;
+}
+
+/**
+ * Type definition for a middleware registered with useGlobalMiddleware.
+ * It runs around the emissions of every event: `next` returns a promise for asynchronous events.
+ */
+export type GlobalEmitMiddleware = (args: unknown, next: (args: unknown) => unknown, event: object) => unknown;
+
+/**
+ * Type definition for an operator used with pipe().
+ * It receives the function passing values on to the next step and returns the function receiving values.
+ * It is called every time a derived event subscribes to its source, so it can keep per-subscription state.
+ */
+export type Operator<T, R> = (next: (value: R) => void) => (value: T) => void;
+
+/**
+ * Options for waiting for an event with next() or waitFor()
+ */
+export interface WaitForOptions {
+  /**
+   * An AbortSignal that cancels the wait. The promise rejects with the abort reason.
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Maximum time in milliseconds to wait. The promise rejects with a MonoTimeoutError when it elapses.
+   */
+  timeout?: number;
+}
+
+/**
+ * Options for iterating over an event with iterate()
+ */
+export interface IterateOptions {
+  /**
+   * Maximum number of emissions buffered while the consumer is not waiting for a value
+   * @default Infinity
+   */
+  bufferSize?: number;
+
+  /**
+   * What to do with an emission when the buffer is full:
+   * drop the oldest buffered value, drop the new value, or fail the iterator with a MonoBufferOverflowError
+   * @default 'drop-oldest'
+   */
+  overflow?: 'drop-oldest' | 'drop-newest' | 'error';
 }
 
 /**
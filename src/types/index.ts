@@ -7,6 +7,21 @@ export {
   Caller,
   EventOptions,
   AsyncEventOptions,
+  ReplayOptions,
+  StateOptions,
+  StateListenerOptions,
+  Unsubscribe,
+  ListenerInfo,
+  BusPattern,
+  BusMessage,
+  NodeEventEmitterLike,
+  MonoScope,
+  AsyncEmitOptions,
+  EventControl,
+  GlobalEmitMiddleware,
+  IterateOptions,
+  Operator,
+  WaitForOptions,
   HandlerRegistration,
   GenericFunction,
 } from './common';
@@ -14,13 +29,30 @@ export {
 // Export synchronous event types
 export {
   EventHandler,
+  CancelableEventHandler,
+  EmitMiddleware,
   MonoEvent,
   MonoRestrictedEvent,
+  MonoCancelableEvent,
+  MonoRestrictedCancelableEvent,
+  MonoState,
+  MonoComputed,
+  EventSource,
+  EventSources,
+  MonoNodeEmitter,
+  MonoBus,
+  MonoRestrictedBus,
 } from './sync';
 
 // Export asynchronous event types
 export {
   AsyncEventHandler,
+  CancelableAsyncEventHandler,
+  AsyncEmitMiddleware,
   MonoAsyncEvent,
   MonoRestrictedAsyncEvent,
+  MonoCancelableAsyncEvent,
+  MonoRestrictedCancelableAsyncEvent,
+  MonoAsyncBus,
+  MonoRestrictedAsyncBus,
 } from './async';
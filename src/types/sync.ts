@@ -2,13 +2,36 @@
  * Synchronous event type definitions
  */
 
-import type { EventOptions } from './common';
+import type {
+  BusMessage,
+  BusPattern,
+  EventControl,
+  EventOptions,
+  IterateOptions,
+  ListenerInfo,
+  Operator,
+  StateListenerOptions,
+  Unsubscribe,
+  WaitForOptions,
+} from './common';
 
 /**
  * Type definition for a synchronous event handler
  */
 export type EventHandler<T> = (_: T) => void;
 
+/**
+ * Type definition for a synchronous emit middleware.
+ * Call `next` to continue the emission, optionally with replaced arguments; not calling it blocks the emission.
+ * If `next` is called later (e.g. after an await), emit() has already returned and errors are only reported.
+ */
+export type EmitMiddleware<T> = (args: T, next: (args: T) => void) => void;
+
+/**
+ * Type definition for a synchronous handler of a cancelable event
+ */
+export type CancelableEventHandler<T> = (_: T, control: EventControl) => void;
+
 /**
  * Type definition for a synchronous event
  */
@@ -19,7 +42,7 @@ export interface MonoEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(handler: EventHandler<T>, options?: EventOptions): () => void;
+  add(handler: EventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Add a listener to the event with a caller context
@@ -28,7 +51,7 @@ export interface MonoEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(caller: object, handler: EventHandler<T>, options?: EventOptions): () => void;
+  add(caller: object, handler: EventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Remove a specific listener from the event
@@ -50,12 +73,116 @@ export interface MonoEvent<T> {
    */
   removeAll(): void;
 
+  /**
+   * Remove every listener added with the given caller context
+   * @param caller The caller context the listeners were added with
+   * @returns The number of listeners removed
+   */
+  removeByCaller(caller: object): number;
+
+  /**
+   * Get the number of registered listeners, including once listeners
+   */
+  listenerCount(): number;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: EventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: object, handler: EventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<EventHandler<T>>[];
+
+  /**
+   * Wait for the next emission of the event
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the emitted arguments
+   */
+  next(options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Wait for the next emission whose arguments match the predicate
+   * @param predicate Function deciding whether the emitted arguments are the awaited ones
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the matching arguments
+   */
+  waitFor(predicate: (args: T) => boolean, options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Iterate over the emissions of the event with `for await`
+   * The listener is added immediately and removed when the iteration ends (e.g. with break)
+   * @param options Buffering options
+   * @returns An async iterator over the emitted arguments
+   */
+  iterate(options?: IterateOptions): AsyncIterableIterator<T>;
+
   /**
    * Emit an event with the provided arguments
    * @param args The event arguments
    */
   emit(args: T): void;
 
+  /**
+   * Emit an event and collect the values returned by the handlers
+   * Handlers that were skipped because they threw (with continueOnError) contribute no value
+   * @param args The event arguments
+   * @returns The handler return values in execution order
+   */
+  emitCollect<R = unknown>(args: T): R[];
+
+  /**
+   * Emit an event and reduce the values returned by the handlers
+   * @param args The event arguments
+   * @param reducer Function combining the accumulator with each handler return value
+   * @param initialValue The initial accumulator value
+   * @returns The reduced value
+   */
+  emitReduce<R, V = unknown>(args: T, reducer: (accumulator: R, value: V) => R, initialValue: R): R;
+
+  /**
+   * Create a read-only event that receives the values of this event passed through the operators
+   * The derived event only subscribes to this event while it has listeners
+   * @param operators Operators such as map, filter, scan, take and distinctUntilChanged, applied in order
+   * @returns The derived event
+   */
+  pipe(): MonoRestrictedEvent<T>;
+  pipe<A>(op1: Operator<T, A>): MonoRestrictedEvent<A>;
+  pipe<A, B>(op1: Operator<T, A>, op2: Operator<A, B>): MonoRestrictedEvent<B>;
+  pipe<A, B, C>(op1: Operator<T, A>, op2: Operator<A, B>, op3: Operator<B, C>): MonoRestrictedEvent<C>;
+  pipe<A, B, C, D>(
+    op1: Operator<T, A>,
+    op2: Operator<A, B>,
+    op3: Operator<B, C>,
+    op4: Operator<C, D>,
+  ): MonoRestrictedEvent<D>;
+  pipe<A, B, C, D, E>(
+    op1: Operator<T, A>,
+    op2: Operator<A, B>,
+    op3: Operator<B, C>,
+    op4: Operator<C, D>,
+    op5: Operator<D, E>,
+  ): MonoRestrictedEvent<E>;
+  pipe<R = unknown>(...operators: Operator<any, any>[]): MonoRestrictedEvent<R>;
+
+  /**
+   * Add a middleware that runs around every emission of this event, after global middleware
+   * @param middleware The middleware function
+   * @returns A function to remove the middleware
+   */
+  use(middleware: EmitMiddleware<T>): () => void;
+
   /**
    * A function that can be used directly with event listeners
    * This emitter function will call emit() with the provided argument
@@ -71,6 +198,51 @@ export interface MonoEvent<T> {
   readonly emitter: (args: T) => void;
 }
 
+/**
+ * Type definition for a state event holding a current value
+ */
+export interface MonoState<T>
+  extends Omit<MonoEvent<T>, 'add' | 'emit' | 'emitCollect' | 'emitReduce' | 'use' | 'emitter'> {
+  /**
+   * The current value
+   */
+  readonly value: T;
+
+  /**
+   * Set the value and notify the listeners if it differs from the current one
+   * @param value The new value
+   */
+  set(value: T): void;
+
+  /**
+   * Set the value computed from the current one and notify the listeners if it changed
+   * @param updater Function computing the new value from the current one
+   */
+  update(updater: (current: T) => T): void;
+
+  /**
+   * Add a listener called with the new value on every change
+   * @param handler The event handler function
+   * @param options Options for the handler, including `immediate` to call it with the current value
+   * @returns A function to remove the listener
+   */
+  add(handler: EventHandler<T>, options?: StateListenerOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener called with the new value on every change, with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method
+   * @param options Options for the handler, including `immediate` to call it with the current value
+   * @returns A function to remove the listener
+   */
+  add(caller: object, handler: EventHandler<T>, options?: StateListenerOptions<T>): Unsubscribe;
+}
+
+/**
+ * Type definition for a read-only state computed from other states
+ */
+export type MonoComputed<T> = Omit<MonoState<T>, 'set' | 'update'>;
+
 /**
  * Type definition for a restricted event (without emit method)
  */
@@ -81,7 +253,7 @@ export interface MonoRestrictedEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(handler: EventHandler<T>, options?: EventOptions): () => void;
+  add(handler: EventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Add a listener to the event with a caller context
@@ -90,7 +262,7 @@ export interface MonoRestrictedEvent<T> {
    * @param options Options for the handler
    * @returns A function to remove the listener
    */
-  add(caller: object, handler: EventHandler<T>, options?: EventOptions): () => void;
+  add(caller: object, handler: EventHandler<T>, options?: EventOptions<T>): Unsubscribe;
 
   /**
    * Remove a specific listener from the event
@@ -111,4 +283,348 @@ export interface MonoRestrictedEvent<T> {
    * Remove all listeners from the event
    */
   removeAll(): void;
+
+  /**
+   * Remove every listener added with the given caller context
+   * @param caller The caller context the listeners were added with
+   * @returns The number of listeners removed
+   */
+  removeByCaller(caller: object): number;
+
+  /**
+   * Get the number of registered listeners, including once listeners
+   */
+  listenerCount(): number;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: EventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: object, handler: EventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<EventHandler<T>>[];
+
+  /**
+   * Wait for the next emission of the event
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the emitted arguments
+   */
+  next(options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Wait for the next emission whose arguments match the predicate
+   * @param predicate Function deciding whether the emitted arguments are the awaited ones
+   * @param options Timeout and cancellation options
+   * @returns A promise that resolves with the matching arguments
+   */
+  waitFor(predicate: (args: T) => boolean, options?: WaitForOptions): Promise<T>;
+
+  /**
+   * Iterate over the emissions of the event with `for await`
+   * The listener is added immediately and removed when the iteration ends (e.g. with break)
+   * @param options Buffering options
+   * @returns An async iterator over the emitted arguments
+   */
+  iterate(options?: IterateOptions): AsyncIterableIterator<T>;
+
+  /**
+   * Create a read-only event that receives the values of this event passed through the operators
+   * The derived event only subscribes to this event while it has listeners
+   * @param operators Operators such as map, filter, scan, take and distinctUntilChanged, applied in order
+   * @returns The derived event
+   */
+  pipe(): MonoRestrictedEvent<T>;
+  pipe<A>(op1: Operator<T, A>): MonoRestrictedEvent<A>;
+  pipe<A, B>(op1: Operator<T, A>, op2: Operator<A, B>): MonoRestrictedEvent<B>;
+  pipe<A, B, C>(op1: Operator<T, A>, op2: Operator<A, B>, op3: Operator<B, C>): MonoRestrictedEvent<C>;
+  pipe<A, B, C, D>(
+    op1: Operator<T, A>,
+    op2: Operator<A, B>,
+    op3: Operator<B, C>,
+    op4: Operator<C, D>,
+  ): MonoRestrictedEvent<D>;
+  pipe<A, B, C, D, E>(
+    op1: Operator<T, A>,
+    op2: Operator<A, B>,
+    op3: Operator<B, C>,
+    op4: Operator<C, D>,
+    op5: Operator<D, E>,
+  ): MonoRestrictedEvent<E>;
+  pipe<R = unknown>(...operators: Operator<any, any>[]): MonoRestrictedEvent<R>;
+}
+
+/**
+ * Type definition for an event that can be used as a source of combinators such as merge
+ */
+export type EventSource<T> = MonoEvent<T> | MonoRestrictedEvent<T>;
+
+/**
+ * Tuple of source events for the value types `T`
+ */
+export type EventSources<T extends unknown[]> = { [K in keyof T]: EventSource<T[K]> };
+
+/**
+ * Type definition for a Node.js style emitter backed by mono events, mapping event names to value types
+ */
+export interface MonoNodeEmitter<E extends Record<string, unknown>> {
+  /**
+   * Add a listener for the event
+   * @param eventName The event name
+   * @param listener The listener, called with the emitted value
+   * @returns The emitter, for chaining
+   */
+  on<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  on(eventName: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Alias of `on`
+   */
+  addListener<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  addListener(eventName: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Add a listener removed after its first call
+   * @param eventName The event name
+   * @param listener The listener, called with the emitted value
+   * @returns The emitter, for chaining
+   */
+  once<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  once(eventName: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Remove a listener of the event
+   * @param eventName The event name
+   * @param listener The listener to remove
+   * @returns The emitter, for chaining
+   */
+  off<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  off(eventName: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Alias of `off`
+   */
+  removeListener<K extends keyof E & string>(eventName: K, listener: (value: E[K]) => void): this;
+  removeListener(eventName: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Remove all listeners of the event, or of every event if no name is given
+   * @param eventName The event name
+   * @returns The emitter, for chaining
+   */
+  removeAllListeners(eventName?: string | symbol): this;
+
+  /**
+   * Emit the event with a value. Emitting 'error' without listeners throws the value.
+   * @param eventName The event name
+   * @param value The value passed to the listeners
+   * @returns true if the event had listeners, false otherwise
+   */
+  emit<K extends keyof E & string>(eventName: K, value: E[K]): boolean;
+  emit(eventName: string | symbol, ...args: any[]): boolean;
+
+  /**
+   * Get the number of listeners of the event
+   * @param eventName The event name
+   */
+  listenerCount(eventName: string | symbol): number;
+
+  /**
+   * Get the names of the events that have listeners
+   */
+  eventNames(): (string | symbol)[];
+}
+
+/**
+ * Type definition for a cancelable synchronous event
+ */
+export interface MonoCancelableEvent<T> extends Omit<MonoEvent<T>, 'add' | 'remove' | 'has' | 'getListeners' | 'emit'> {
+  /**
+   * Add a listener to the event
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(handler: CancelableEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener to the event with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(caller: object, handler: CancelableEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Remove a specific listener from the event
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Remove a specific listener with caller context from the event
+   * @param caller The caller object
+   * @param handler The event handler method to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(caller: object, handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: object, handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<CancelableEventHandler<T>>[];
+
+  /**
+   * Emit an event with the provided arguments
+   * @param args The event arguments
+   * @returns true if a handler called preventDefault(), false otherwise
+   */
+  emit(args: T): boolean;
+}
+
+/**
+ * Type definition for a restricted cancelable event (without emit method)
+ */
+export interface MonoRestrictedCancelableEvent<T>
+  extends Omit<MonoRestrictedEvent<T>, 'add' | 'remove' | 'has' | 'getListeners'> {
+  /**
+   * Add a listener to the event
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(handler: CancelableEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Add a listener to the event with a caller context
+   * @param caller The object that will be 'this' in the handler
+   * @param handler The event handler method
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  add(caller: object, handler: CancelableEventHandler<T>, options?: EventOptions<T>): Unsubscribe;
+
+  /**
+   * Remove a specific listener from the event
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Remove a specific listener with caller context from the event
+   * @param caller The caller object
+   * @param handler The event handler method to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  remove(caller: object, handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener without caller context is registered
+   * @param handler The event handler function
+   * @returns true if the handler is registered, false otherwise
+   */
+  has(handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Check whether a listener with caller context is registered
+   * @param caller The caller object
+   * @param handler The event handler method
+   * @returns true if the handler is registered with the caller, false otherwise
+   */
+  has(caller: object, handler: CancelableEventHandler<T>): boolean;
+
+  /**
+   * Get a snapshot of the registered listeners in execution order
+   */
+  getListeners(): ListenerInfo<CancelableEventHandler<T>>[];
+}
+
+/**
+ * Type definition for a restricted event bus (without emit method), mapping event names to payload types
+ */
+export interface MonoRestrictedBus<E extends Record<string, unknown>> {
+  /**
+   * Add a listener for the events of a name
+   * @param name The event name
+   * @param handler The event handler function
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  on<K extends keyof E & string>(name: K, handler: (payload: E[K]) => void, options?: EventOptions<E[K]>): Unsubscribe;
+
+  /**
+   * Add a listener for the events of every name matching a pattern
+   * @param pattern The pattern, where `*` matches any sequence of characters
+   * @param handler The event handler function, called with the name and the payload
+   * @param options Options for the handler
+   * @returns A function to remove the listener
+   */
+  on(
+    pattern: BusPattern,
+    handler: (payload: BusMessage<E>) => void,
+    options?: EventOptions<BusMessage<E>>,
+  ): Unsubscribe;
+
+  /**
+   * Remove a listener for the events of a name
+   * @param name The event name
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  off<K extends keyof E & string>(name: K, handler: (payload: E[K]) => void): boolean;
+
+  /**
+   * Remove a listener for the events matching a pattern
+   * @param pattern The pattern the listener was added with
+   * @param handler The event handler function to remove
+   * @returns true if the handler was found and removed, false otherwise
+   */
+  off(pattern: BusPattern, handler: (payload: BusMessage<E>) => void): boolean;
+
+  /**
+   * Remove all listeners of a name or pattern, or every listener of the bus if none is given
+   * @param name The event name or pattern
+   */
+  removeAll(name?: (keyof E & string) | BusPattern): void;
+}
+
+/**
+ * Type definition for an event bus, mapping event names to payload types
+ */
+export interface MonoBus<E extends Record<string, unknown>> extends MonoRestrictedBus<E> {
+  /**
+   * Emit an event to the listeners of its name, then to those of the matching patterns
+   * @param name The event name
+   * @param payload The event payload
+   */
+  emit<K extends keyof E & string>(name: K, payload: E[K]): void;
 }
@@ -1,6 +1,23 @@
-import type { Caller, EventOptions, GenericFunction } from './types';
+import { MonoBufferOverflowError, MonoHandlerError, MonoTimeoutError, getDefaultErrorHandler } from './errors';
+import { getGlobalMiddleware } from './middleware';
+import { type TrackedSource, isStale, releaseSubscriptions, runTracked, syncSubscriptions } from './tracking';
+import type {
+  AsyncEmitOptions,
+  Caller,
+  EmitterOptions,
+  ErrorHandler,
+  EventControl,
+  EventOptions,
+  GenericFunction,
+  IterateOptions,
+  ListenerInfo,
+  Operator,
+  StateListenerOptions,
+  Unsubscribe,
+  WaitForOptions,
+} from './types';
 import type { AsyncEventHandler } from './types/async';
-import type { EventHandler } from './types/sync';
+import type { EventHandler, MonoRestrictedEvent } from './types/sync';
 
 /**
  * A compact structure that stores listener information
@@ -8,14 +25,88 @@ import type { EventHandler } from './types/sync';
 export interface CompactListener<H extends GenericFunction> {
   h: H; // handler function
   c: Caller | null; // caller context
+  w: WeakRef<Caller> | null; // weakly held caller context (c is null then)
+  p: number; // priority
+  s: number; // sequence key ordering listeners within the same priority
+  o: boolean; // whether the listener is stored in onceListeners
+  d: (() => void) | null; // cleanup to run when the listener is detached
+  f: ((args: any) => boolean) | null; // filter deciding whether the listener runs for a payload
 }
 
+/**
+ * Registry of weak listeners, created on first use so that runtimes without FinalizationRegistry
+ * can load the library as long as `weak` is not used
+ */
+let weakListeners: FinalizationRegistry<{
+  event: WeakRef<BaseEventContext<any>>;
+  listener: CompactListener<any>;
+}> | null = null;
+
+/**
+ * Returns the registry removing the listeners of collected weakly held callers.
+ * The event is held weakly too, so that a registered listener does not keep its event alive.
+ */
+function weakListenerRegistry(): NonNullable<typeof weakListeners> {
+  if (!weakListeners) {
+    weakListeners = new FinalizationRegistry(({ event, listener }) => {
+      const target = event.deref();
+      if (target) detachListener(target, listener);
+    });
+  }
+  return weakListeners;
+}
+
+/**
+ * Returns the caller context of a listener, or null if it has none or it was collected.
+ */
+function callerOf<H extends GenericFunction>(listener: CompactListener<H>): Caller | null {
+  return listener.w ? listener.w.deref() || null : listener.c;
+}
+
+/**
+ * The well-known symbol used by `using` declarations, falling back to the registered symbol
+ * that polyfills use on runtimes without explicit resource management
+ */
+export const disposeSymbol: typeof Symbol.dispose =
+  Symbol.dispose || (Symbol.for('Symbol.dispose') as typeof Symbol.dispose);
+
+/**
+ * Makes an unsubscribe function disposable, so that the listener can be scoped with `using`.
+ */
+function disposable(unsubscribe: () => void): Unsubscribe {
+  (unsubscribe as Unsubscribe)[disposeSymbol] = unsubscribe;
+  return unsubscribe as Unsubscribe;
+}
+
+/**
+ * Creates the activity hook of an event from the onFirstListener and onLastListener options.
+ * Returns null if neither is given.
+ */
+export function activityHook(
+  onFirstListener: (() => void) | undefined,
+  onLastListener: (() => void) | undefined,
+): ((active: boolean) => void) | null {
+  if (!onFirstListener && !onLastListener) return null;
+  return (active) => {
+    const hook = active ? onFirstListener : onLastListener;
+    if (hook) hook();
+  };
+}
+
+/**
+ * Monotonic counter used to derive sequence keys for listener ordering
+ */
+let sequence = 0;
+
 /**
  * Base event context that holds arrays of listeners (lazily initialized)
  */
 export interface BaseEventContext<H extends GenericFunction> {
   listeners: CompactListener<H>[] | null; // Lazily initialized array
   onceListeners: CompactListener<H>[] | null; // Lazily initialized array
+  onActivity: ((active: boolean) => void) | null; // Notified when the first listener is added or the last removed
+  callers: WeakMap<Caller, CompactListener<H>[]> | null; // Listeners by caller context (lazily initialized)
+  replay?: ReplayState | null; // Recent emissions replayed to new listeners (replay events only)
 
   // Methods defined in baseEventMethods
   add: (...args: unknown[]) => () => void;
@@ -23,50 +114,109 @@ export interface BaseEventContext<H extends GenericFunction> {
   remove(...args: unknown[]): boolean;
 
   removeAll(): void;
+
+  removeByCaller(caller: Caller): number;
+
+  listenerCount(): number;
+
+  has(...args: unknown[]): boolean;
+
+  getListeners(): ListenerInfo<H>[];
 }
 
 /**
- * Context for synchronous events
+ * Recent emissions of a replay event
  */
-export interface SyncEventContext<T = unknown> extends BaseEventContext<EventHandler<T>> {
-  continueOnError: boolean;
-  logErrors: boolean;
+export interface ReplayState {
+  entries: { args: unknown; time: number }[]; // Oldest first
+  bufferSize: number;
+  windowMs: number;
+  settings: EmitSettings; // Error handling settings used while replaying
 }
 
 /**
- * Context for asynchronous events
+ * Emission settings shared by all emit contexts
  */
-export interface AsyncEventContext<T = unknown> extends BaseEventContext<AsyncEventHandler<T>> {
-  parallel: boolean;
+export interface EmitSettings {
   continueOnError: boolean;
   logErrors: boolean;
+  aggregateErrors: boolean;
+  onError: ErrorHandler<any> | null;
+  cancelable: boolean;
+  middleware: GenericFunction[] | null; // Middleware registered with use(), replaced on every change
+}
 
-  _emitParallel(args: T): Promise<void>;
+/**
+ * Settings for asynchronous emission
+ */
+export interface AsyncEmitSettings extends EmitSettings {
+  parallel: boolean | number;
+}
+
+/**
+ * Context for synchronous events
+ */
+export interface SyncEventContext<T = unknown> extends BaseEventContext<EventHandler<T>>, EmitSettings {}
+
+/**
+ * Context for state events
+ */
+export interface StateContext<T = unknown> extends SyncEventContext<T> {
+  current: T;
+  version: number; // Incremented every time the value changes
+  equals: (previous: T, next: T) => boolean;
+}
+
+/**
+ * Context for computed events
+ */
+export interface ComputedContext<T = unknown> extends StateContext<T> {
+  compute: () => T;
+  sources: Map<TrackedSource, number> | null; // Sources read by the last computation (null before the first)
+  subscriptions: Map<TrackedSource, () => void> | null; // Subscriptions to the sources while the event has listeners
+  computing: boolean;
+}
+
+/**
+ * Context for asynchronous events
+ */
+export interface AsyncEventContext<T = unknown> extends BaseEventContext<AsyncEventHandler<T>>, AsyncEmitSettings {
+  _emitParallel(args: T, options?: AsyncEmitOptions): Promise<boolean | undefined>;
 
-  _emitSequential(args: T): Promise<void>;
+  _emitSequential(args: T, options?: AsyncEmitOptions): Promise<boolean | undefined>;
 }
 
 /**
  * Context for restricted synchronous event emitters
  */
-export interface RestrictedSyncEmitContext<T = unknown> {
+export interface RestrictedSyncEmitContext<T = unknown> extends EmitSettings {
   event: BaseEventContext<EventHandler<T>>;
-  continueOnError: boolean;
-  logErrors: boolean;
 }
 
 /**
  * Context for restricted asynchronous event emitters
  */
-export interface RestrictedAsyncEmitContext<T = unknown> {
+export interface RestrictedAsyncEmitContext<T = unknown> extends AsyncEmitSettings {
   event: BaseEventContext<AsyncEventHandler<T>>;
-  parallel: boolean;
-  continueOnError: boolean;
-  logErrors: boolean;
 
-  _emitParallel(args: T): Promise<void>;
+  _emitParallel(args: T, options?: AsyncEmitOptions): Promise<boolean | undefined>;
 
-  _emitSequential(args: T): Promise<void>;
+  _emitSequential(args: T, options?: AsyncEmitOptions): Promise<boolean | undefined>;
+}
+
+/**
+ * State of a single emission, shared by the helpers that run its handlers
+ */
+export interface Emission<T, H extends GenericFunction> {
+  event: BaseEventContext<H>;
+  args: T;
+  settings: EmitSettings;
+  options: AsyncEmitOptions | undefined;
+  results: unknown[] | null; // Handler results stored by execution index, when collecting
+  failures: MonoHandlerError[] | null; // Failures collected with aggregateErrors
+  stopped: boolean; // Whether stopPropagation() was called
+  prevented: boolean; // Whether preventDefault() was called
+  control: EventControl | null; // Control object passed to handlers of cancelable events
 }
 
 /**
@@ -96,98 +246,556 @@ export function parseRemoveArgs<H extends GenericFunction>(args: unknown[]): { h
   };
 }
 
+/**
+ * Creates the state for a single emission.
+ * @param collect Whether handler results should be collected
+ */
+function createEmission<T, H extends GenericFunction>(
+  event: BaseEventContext<H>,
+  args: T,
+  settings: EmitSettings,
+  options?: AsyncEmitOptions,
+  collect = false,
+): Emission<T, H> {
+  const emission: Emission<T, H> = {
+    event,
+    args,
+    settings,
+    options,
+    results: collect ? [] : null,
+    failures: null,
+    stopped: false,
+    prevented: false,
+    control: null,
+  };
+  if (settings.cancelable) emission.control = createEventControl(emission);
+  return emission;
+}
+
+/**
+ * Creates the control object passed to handlers of cancelable events.
+ * @param signal The AbortSignal of the handler, for async emissions with a signal or timeout
+ */
+function createEventControl<T, H extends GenericFunction>(
+  emission: Emission<T, H>,
+  signal?: AbortSignal,
+): EventControl {
+  return {
+    signal,
+    get defaultPrevented() {
+      return emission.prevented;
+    },
+    preventDefault() {
+      emission.prevented = true;
+    },
+    stopPropagation() {
+      emission.stopped = true;
+    },
+  };
+}
+
+/**
+ * Returns the value of emit(): whether the default was prevented for cancelable events, nothing otherwise.
+ */
+function emitResult<T, H extends GenericFunction>(
+  settings: EmitSettings,
+  emission: Emission<T, H> | null,
+): boolean | undefined {
+  if (!settings.cancelable) return undefined;
+  return emission ? emission.prevented : false;
+}
+
+/**
+ * Calls a handler with its caller context.
+ * The extra argument (event control or AbortSignal) is only passed when present,
+ * so plain handlers keep receiving exactly one argument.
+ */
+function invokeHandler<H extends GenericFunction>(
+  listener: CompactListener<H>,
+  args: unknown,
+  extra?: unknown,
+): unknown {
+  const caller = listener.w ? listener.w.deref() : listener.c;
+  if (extra === undefined) {
+    return caller ? listener.h.call(caller, args) : listener.h(args);
+  }
+  return caller ? listener.h.call(caller, args, extra) : listener.h(args, extra);
+}
+
+/**
+ * Applies the error handling settings to an error thrown by a handler.
+ * Rethrows the error unless execution should continue, and records
+ * the failure if errors are aggregated.
+ */
+function handleFailure<T, H extends GenericFunction>(
+  error: unknown,
+  listener: CompactListener<H>,
+  index: number,
+  emission: Emission<T, H>,
+  message: string,
+): void {
+  const { settings } = emission;
+  // The event's own onError takes precedence over the library-wide default used with logErrors
+  const onError = settings.onError || (settings.logErrors ? getDefaultErrorHandler() : null);
+  if (onError) {
+    onError(error, { handler: listener.h, caller: callerOf(listener), args: emission.args, event: emission.event });
+  } else if (settings.logErrors) {
+    console.error(message, error);
+  }
+  if (settings.aggregateErrors) {
+    if (!emission.failures) emission.failures = [];
+    emission.failures.push(new MonoHandlerError(error, listener.h, callerOf(listener), index));
+    return;
+  }
+  if (!settings.continueOnError) throw error;
+}
+
+/**
+ * Throws an AggregateError if any handler failed during an emission with aggregateErrors.
+ * Failures are reported in execution order regardless of completion order.
+ */
+function throwFailures<T, H extends GenericFunction>(emission: Emission<T, H>): void {
+  const { failures } = emission;
+  if (failures && failures.length > 0) {
+    failures.sort((a, b) => a.index - b.index);
+    throw new AggregateError(failures, `${failures.length} event handler(s) failed`);
+  }
+}
+
 /**
  * Executes a synchronous handler with error handling.
+ * When collecting, the handler's return value is stored at `index`.
  */
 export function executeSyncHandler<T>(
   listener: CompactListener<EventHandler<T>> | undefined,
-  args: T,
-  continueOnError: boolean,
-  logErrors: boolean,
+  emission: Emission<T, EventHandler<T>>,
+  index = 0,
 ): void {
   if (!listener) return;
   try {
-    if (listener.c) {
-      listener.h.call(listener.c, args);
-    } else {
-      listener.h(args);
-    }
+    const value = invokeHandler(listener, emission.args, emission.control || undefined);
+    if (emission.results) emission.results[index] = value;
   } catch (error) {
-    if (logErrors) console.error('Error in event handler:', error);
-    if (!continueOnError) throw error;
+    handleFailure(error, listener, index, emission, 'Error in event handler:');
   }
 }
 
 /**
  * Executes an asynchronous handler with error handling.
+ * When collecting, the handler's resolved value is stored at `index`.
  */
 export async function executeAsyncHandler<T>(
   listener: CompactListener<AsyncEventHandler<T>> | undefined,
-  args: T,
-  continueOnError: boolean,
-  logErrors: boolean,
+  emission: Emission<T, AsyncEventHandler<T>>,
+  index = 0,
 ): Promise<void> {
   if (!listener) return;
+  const { options } = emission;
   try {
-    if (listener.c) {
-      await listener.h.call(listener.c, args);
+    let value: unknown;
+    if (options && (options.signal || options.timeout !== undefined)) {
+      value = await invokeWithSignal(listener, emission);
     } else {
-      await listener.h(args);
+      value = await invokeHandler(listener, emission.args, emission.control || undefined);
     }
+    if (emission.results) emission.results[index] = value;
   } catch (error) {
-    if (logErrors) console.error('Error in async event handler:', error);
-    if (!continueOnError) throw error;
+    // Cancellation of the whole emission is not a handler failure and always propagates
+    if (options?.signal?.aborted) throw options.signal.reason;
+    handleFailure(error, listener, index, emission, 'Error in async event handler:');
   }
 }
 
-function emitSyncHandlers<T>(
-  listeners: CompactListener<EventHandler<T>>[] | null,
-  onceListeners: CompactListener<EventHandler<T>>[] | null,
-  args: T,
-  continueOnError: boolean,
-  logErrors: boolean,
-): void {
-  // Create copies of the listener arrays to iterate over
-  const listenersCopy = listeners ? Array.from(listeners) : [];
-  const onceListenersCopy = onceListeners ? Array.from(onceListeners) : [];
-
-  // Use for-i loop for regular listeners (iterate over copy)
-  if (listenersCopy.length > 0) {
-    const len = listenersCopy.length;
-    for (let i = 0; i < len; i++) {
-      executeSyncHandler(listenersCopy[i], args, continueOnError, logErrors);
-    }
-  }
-
-  // Use reverse for-i loop for once listeners (iterate over copy)
-  // Remove from the original array after execution
-  if (onceListenersCopy.length > 0) {
-    for (let i = onceListenersCopy.length - 1; i >= 0; i--) {
-      const listener = onceListenersCopy[i];
-      executeSyncHandler(listener, args, continueOnError, logErrors);
-      // Find and remove the listener from the original onceListeners array
-      if (onceListeners) {
-        const originalIndex = onceListeners.findIndex((l) => l === listener);
-        if (originalIndex !== -1) {
-          onceListeners.splice(originalIndex, 1);
-        }
-      }
+/**
+ * Invokes an asynchronous handler with its own AbortSignal.
+ * The returned promise rejects as soon as the emission signal aborts or the timeout elapses,
+ * without waiting for the handler itself to settle.
+ */
+function invokeWithSignal<T>(
+  listener: CompactListener<AsyncEventHandler<T>>,
+  emission: Emission<T, AsyncEventHandler<T>>,
+): Promise<unknown> {
+  const { signal, timeout } = emission.options as AsyncEmitOptions;
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  return new Promise<unknown>((resolve, reject) => {
+    const controller = new AbortController();
+    let timeoutId: ReturnType<typeof setTimeout> | null = null;
+
+    const cleanup = () => {
+      if (timeoutId !== null) clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    const fail = (reason: unknown) => {
+      cleanup();
+      controller.abort(reason);
+      reject(reason);
+    };
+    const onAbort = () => fail(signal?.reason);
+
+    if (signal) signal.addEventListener('abort', onAbort);
+    if (timeout !== undefined) {
+      timeoutId = setTimeout(() => fail(new MonoTimeoutError(timeout)), timeout);
+    }
+
+    // Cancelable events receive the signal through their control object
+    const extra = emission.control ? createEventControl(emission, controller.signal) : controller.signal;
+    let result: unknown;
+    try {
+      result = invokeHandler(listener, emission.args, extra);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    Promise.resolve(result).then(
+      (value) => {
+        cleanup();
+        resolve(value);
+      },
+      (error) => {
+        cleanup();
+        reject(error);
+      },
+    );
+  });
+}
+
+/**
+ * Returns true if listener `a` should run before listener `b`.
+ */
+function runsBefore<H extends GenericFunction>(a: CompactListener<H>, b: CompactListener<H>): boolean {
+  return a.p > b.p || (a.p === b.p && a.s < b.s);
+}
+
+/**
+ * Finds the first registered listener (regular or once) with the given handler.
+ */
+function findByHandler<H extends GenericFunction>(
+  event: BaseEventContext<H>,
+  handler: GenericFunction,
+): CompactListener<H> | undefined {
+  const arrays = [event.listeners, event.onceListeners];
+  for (let a = 0; a < 2; a++) {
+    const array = arrays[a];
+    if (!array) continue;
+    for (let i = 0; i < array.length; i++) {
+      if (array[i].h === handler) return array[i];
     }
   }
+  return undefined;
+}
+
+/**
+ * Finds the listener with the same priority that is adjacent to `anchor`
+ * in execution order, searching both listener arrays.
+ * @param direction -1 for the preceding listener, 1 for the following one
+ */
+function findNeighbour<H extends GenericFunction>(
+  event: BaseEventContext<H>,
+  anchor: CompactListener<H>,
+  direction: -1 | 1,
+): CompactListener<H> | undefined {
+  let found: CompactListener<H> | undefined;
+  const arrays = [event.listeners, event.onceListeners];
+  for (let a = 0; a < 2; a++) {
+    const array = arrays[a];
+    if (!array) continue;
+    for (let i = 0; i < array.length; i++) {
+      const listener = array[i];
+      if (listener.p !== anchor.p || (listener.s - anchor.s) * direction <= 0) continue;
+      if (!found || (listener.s - found.s) * direction < 0) found = listener;
+    }
+  }
+  return found;
+}
+
+/**
+ * Assigns priority and sequence key of a new listener from the add() options.
+ */
+function assignOrder<H extends GenericFunction>(
+  event: BaseEventContext<H>,
+  listener: CompactListener<H>,
+  options: EventOptions,
+): void {
+  const reference = options.before || options.after;
+  const anchor = reference ? findByHandler(event, reference) : undefined;
+
+  if (!anchor) {
+    listener.p = options.priority || 0;
+    listener.s = options.prepend ? -++sequence : ++sequence;
+    return;
+  }
+
+  // Take over the anchor's priority and pick a key between the anchor and its neighbour
+  listener.p = anchor.p;
+  const neighbour = findNeighbour(event, anchor, options.before ? -1 : 1);
+  if (!neighbour) {
+    listener.s = options.before ? -++sequence : ++sequence;
+    return;
+  }
+  let key = (anchor.s + neighbour.s) / 2;
+  if (key === anchor.s || key === neighbour.s) {
+    // Repeated insertions at the same place used up the precision between the keys
+    renumberPriority(event, anchor.p);
+    key = (anchor.s + neighbour.s) / 2;
+  }
+  listener.s = key;
+}
+
+/**
+ * Gives the listeners of a priority new, evenly spaced sequence keys, keeping their order.
+ */
+function renumberPriority<H extends GenericFunction>(event: BaseEventContext<H>, priority: number): void {
+  for (const listener of orderedListeners(event.listeners, event.onceListeners)) {
+    if (listener.p === priority) listener.s = ++sequence;
+  }
+}
+
+/**
+ * Inserts a listener into an array kept sorted in execution order.
+ * Appending is the common case, so the position is searched from the end.
+ */
+function insertListener<H extends GenericFunction>(array: CompactListener<H>[], listener: CompactListener<H>): void {
+  let index = array.length;
+  while (index > 0 && runsBefore(listener, array[index - 1])) {
+    index--;
+  }
+  if (index === array.length) {
+    array.push(listener);
+  } else {
+    array.splice(index, 0, listener);
+  }
+}
+
+/**
+ * Creates a snapshot of all listeners in execution order by merging
+ * the (already sorted) regular and once listener arrays.
+ */
+function orderedListeners<H extends GenericFunction>(
+  listeners: CompactListener<H>[] | null,
+  onceListeners: CompactListener<H>[] | null,
+): CompactListener<H>[] {
+  const len = listeners ? listeners.length : 0;
+  const onceLen = onceListeners ? onceListeners.length : 0;
+  if (onceLen === 0) return len > 0 ? Array.from(listeners as CompactListener<H>[]) : [];
+  if (len === 0) return Array.from(onceListeners as CompactListener<H>[]);
+
+  const regular = listeners as CompactListener<H>[];
+  const once = onceListeners as CompactListener<H>[];
+  const result: CompactListener<H>[] = new Array(len + onceLen);
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  while (i < len && j < onceLen) {
+    result[k++] = runsBefore(once[j], regular[i]) ? once[j++] : regular[i++];
+  }
+  while (i < len) result[k++] = regular[i++];
+  while (j < onceLen) result[k++] = once[j++];
+  return result;
+}
+
+/**
+ * Removes the listener at the given index and runs its cleanup.
+ * Every removal of a listener goes through this function.
+ */
+function detachAt<H extends GenericFunction>(
+  event: BaseEventContext<H>,
+  array: CompactListener<H>[],
+  index: number,
+): void {
+  const listener = array[index];
+  array.splice(index, 1);
+  const caller = callerOf(listener);
+  if (caller && event.callers) {
+    const owned = event.callers.get(caller) as CompactListener<H>[];
+    owned.splice(owned.indexOf(listener), 1);
+    if (owned.length === 0) event.callers.delete(caller);
+  }
+  if (listener.d) {
+    const cleanup = listener.d;
+    listener.d = null;
+    cleanup();
+  }
+  if (event.onActivity && hasNoListeners(event)) event.onActivity(false);
+}
+
+/**
+ * Removes a specific listener from the event.
+ * Returns false if the listener is no longer registered.
+ */
+function detachListener<H extends GenericFunction>(event: BaseEventContext<H>, listener: CompactListener<H>): boolean {
+  const array = listener.o ? event.onceListeners : event.listeners;
+  const index = array ? array.indexOf(listener) : -1;
+  if (index === -1) return false;
+  detachAt(event, array as CompactListener<H>[], index);
+  return true;
+}
+
+/**
+ * Returns true if the listener is still registered on the event.
+ */
+function isAttached<H extends GenericFunction>(event: BaseEventContext<H>, listener: CompactListener<H>): boolean {
+  const array = listener.o ? event.onceListeners : event.listeners;
+  return !!array && array.indexOf(listener) !== -1;
+}
+
+/**
+ * Decides whether a listener runs in the current emission.
+ * A listener whose weakly held caller was collected is removed without running.
+ * The filter is checked next, so that a once listener only consumes its slot for a matching payload.
+ * Once listeners are then removed right before they are executed; one that was already removed
+ * (e.g. during the current emission) must not run.
+ */
+function claimListener<T, H extends GenericFunction>(
+  emission: Emission<T, H>,
+  listener: CompactListener<H>,
+  index: number,
+): boolean {
+  if (listener.w && !listener.w.deref()) {
+    detachListener(emission.event, listener);
+    return false;
+  }
+  if (listener.f && !passesFilter(emission, listener, index)) return false;
+  return !listener.o || detachListener(emission.event, listener);
+}
+
+/**
+ * Checks the filter of a listener. A filter that throws is handled as a failure of the listener,
+ * which then does not run.
+ */
+function passesFilter<T, H extends GenericFunction>(
+  emission: Emission<T, H>,
+  listener: CompactListener<H>,
+  index: number,
+): boolean {
+  try {
+    return !!(listener.f as (args: unknown) => boolean)(emission.args);
+  } catch (error) {
+    handleFailure(error, listener, index, emission, 'Error in event handler filter:');
+    return false;
+  }
+}
+
+/**
+ * Claims a listener and starts its asynchronous handler.
+ * A filter failure that is not caught by the error settings rejects, like a failure of the handler would.
+ * @returns The promise of the handler, or null if the listener does not run
+ */
+function startAsyncListener<T>(
+  listener: CompactListener<AsyncEventHandler<T>>,
+  emission: Emission<T, AsyncEventHandler<T>>,
+  index: number,
+): Promise<void> | null {
+  try {
+    if (!claimListener(emission, listener, index)) return null;
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  return executeAsyncHandler(listener, emission, index);
+}
+
+/**
+ * Returns the number of listeners registered on the event, including once listeners.
+ */
+function countListeners<H extends GenericFunction>(event: BaseEventContext<H>): number {
+  return (event.listeners ? event.listeners.length : 0) + (event.onceListeners ? event.onceListeners.length : 0);
+}
+
+/**
+ * Drops the replay entries that are older than the replay window.
+ */
+function pruneReplay(state: ReplayState): void {
+  const { entries } = state;
+  const oldest = Date.now() - state.windowMs;
+  while (entries.length > 0 && entries[0].time < oldest) entries.shift();
+}
+
+/**
+ * Stores emitted arguments for replay, keeping at most `bufferSize` entries.
+ */
+function recordReplay(state: ReplayState, args: unknown): void {
+  pruneReplay(state);
+  state.entries.push({ args, time: Date.now() });
+  if (state.entries.length > state.bufferSize) state.entries.shift();
+}
+
+/**
+ * Synchronously runs a single listener for each of the given arguments, in order,
+ * e.g. to replay recorded emissions to a newly added listener.
+ * The listener's filter and `once` are honored, and delivery stops as soon as the listener is removed.
+ */
+function deliverTo<T>(
+  event: BaseEventContext<EventHandler<T>>,
+  listener: CompactListener<EventHandler<T>>,
+  values: T[],
+  settings: EmitSettings,
+): void {
+  for (let i = 0; i < values.length; i++) {
+    if (!isAttached(event, listener)) return;
+    const emission = createEmission(event, values[i], settings);
+    if (!claimListener(emission, listener, 0)) continue;
+    executeSyncHandler(listener, emission, 0);
+    throwFailures(emission);
+  }
+}
+
+/**
+ * Returns true if a synchronous emission has nothing to do: no middleware, no listeners and nothing to record.
+ */
+function isIdle<H extends GenericFunction>(event: BaseEventContext<H>, middleware: GenericFunction[] | null): boolean {
+  return !middleware && !event.replay && hasNoListeners(event);
+}
+
+/**
+ * Returns true if the event has no listeners at all.
+ */
+function hasNoListeners<H extends GenericFunction>(event: BaseEventContext<H>): boolean {
+  return (
+    (!event.listeners || event.listeners.length === 0) && (!event.onceListeners || event.onceListeners.length === 0)
+  );
+}
+
+function emitSyncHandlers<T>(emission: Emission<T, EventHandler<T>>): void {
+  const { event } = emission;
+  // Record before running the handlers, so that listeners added by them replay this emission
+  if (event.replay) recordReplay(event.replay, emission.args);
+  // Iterate over a snapshot in execution order, so changes during emission do not affect this run
+  const ordered = orderedListeners(event.listeners, event.onceListeners);
+  const len = ordered.length;
+  for (let i = 0; i < len && !emission.stopped; i++) {
+    const listener = ordered[i];
+    // Once listeners are removed before execution so that re-entrant emits cannot run them twice
+    if (!claimListener(emission, listener, i)) continue;
+    executeSyncHandler(listener, emission, i);
+  }
+  throwFailures(emission);
+}
+
+/**
+ * Validates the `parallel` option of an async event.
+ * A number must be a positive integer (or Infinity); anything else throws a RangeError.
+ * @returns The option, to be stored on the event
+ */
+export function checkParallel(parallel: boolean | number): boolean | number {
+  if (typeof parallel !== 'number') return parallel;
+  if (!(parallel >= 1 && (Number.isInteger(parallel) || parallel === Number.POSITIVE_INFINITY))) {
+    throw new RangeError(`The parallel option must be a boolean or a positive integer, got ${parallel}`);
+  }
+  return parallel;
 }
 
 async function emitAsyncHandlers<T>(
-  listeners: CompactListener<AsyncEventHandler<T>>[] | null,
-  onceListeners: CompactListener<AsyncEventHandler<T>>[] | null,
-  args: T,
-  parallel: boolean,
-  continueOnError: boolean,
-  logErrors: boolean,
+  emission: Emission<T, AsyncEventHandler<T>>,
+  parallel: boolean | number,
 ): Promise<void> {
-  if (parallel) {
-    await emitAsyncParallel(listeners, onceListeners, args, continueOnError, logErrors);
+  const { event } = emission;
+  const ordered = orderedListeners(event.listeners, event.onceListeners);
+  if (typeof parallel === 'number' && parallel < ordered.length) {
+    await emitAsyncConcurrent(emission, ordered, parallel);
+  } else if (parallel) {
+    await emitAsyncParallel(emission, ordered);
   } else {
-    await emitAsyncSequential(listeners, onceListeners, args, continueOnError, logErrors);
+    await emitAsyncSequential(emission, ordered);
   }
 }
 
@@ -195,209 +803,771 @@ async function emitAsyncHandlers<T>(
  * Handles async emission in parallel using Arrays (handles null).
  */
 async function emitAsyncParallel<T>(
-  listeners: CompactListener<AsyncEventHandler<T>>[] | null,
-  onceListeners: CompactListener<AsyncEventHandler<T>>[] | null,
-  args: T,
-  continueOnError: boolean,
-  logErrors: boolean,
+  emission: Emission<T, AsyncEventHandler<T>>,
+  ordered: CompactListener<AsyncEventHandler<T>>[],
 ): Promise<void> {
+  // Once listeners are consumed as their handler starts
+  const len = ordered.length;
   const promises: Promise<void>[] = [];
-  // Copy onceListeners before clearing, as they run in parallel
-  const currentOnce = onceListeners ? Array.from(onceListeners) : [];
-  if (onceListeners) onceListeners.length = 0; // Clear original array
-
-  // Use for-i loop for regular listeners
-  if (listeners) {
-    const len = listeners.length;
-    for (let i = 0; i < len; i++) {
-      promises.push(executeAsyncHandler(listeners[i], args, continueOnError, logErrors));
-    }
-  }
-  // Use for-i loop for the copied once listeners
-  const onceLen = currentOnce.length;
-  if (onceLen > 0) {
-    for (let i = 0; i < onceLen; i++) {
-      promises.push(executeAsyncHandler(currentOnce[i], args, continueOnError, logErrors));
-    }
+  for (let i = 0; i < len && !emission.stopped; i++) {
+    const promise = startAsyncListener(ordered[i], emission, i);
+    if (promise) promises.push(promise);
   }
   if (promises.length > 0) {
     await Promise.all(promises);
   }
+  throwFailures(emission);
+}
+
+/**
+ * Handles async emission in parallel with at most `concurrency` handlers running at the same time.
+ * Handlers are started in execution order; no new handler is started after a failure or cancellation.
+ */
+async function emitAsyncConcurrent<T>(
+  emission: Emission<T, AsyncEventHandler<T>>,
+  ordered: CompactListener<AsyncEventHandler<T>>[],
+  concurrency: number,
+): Promise<void> {
+  const signal = emission.options?.signal;
+  const len = ordered.length;
+  let next = 0;
+  let failed = false;
+
+  // Each worker pulls the next listener from the shared snapshot until it is exhausted
+  const worker = async (): Promise<void> => {
+    while (next < len && !failed && !emission.stopped) {
+      if (signal?.aborted) throw signal.reason;
+      const index = next++;
+      try {
+        await startAsyncListener(ordered[index], emission, index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers: Promise<void>[] = new Array(concurrency);
+  for (let i = 0; i < concurrency; i++) {
+    workers[i] = worker();
+  }
+  await Promise.all(workers);
+  throwFailures(emission);
 }
 
 /**
  * Handles async emission sequentially using Arrays (handles null).
  */
 async function emitAsyncSequential<T>(
-  listeners: CompactListener<AsyncEventHandler<T>>[] | null,
-  onceListeners: CompactListener<AsyncEventHandler<T>>[] | null,
-  args: T,
-  continueOnError: boolean,
-  logErrors: boolean,
+  emission: Emission<T, AsyncEventHandler<T>>,
+  ordered: CompactListener<AsyncEventHandler<T>>[],
 ): Promise<void> {
-  // Use for-i loop for regular listeners
-  if (listeners) {
-    const len = listeners.length;
-    for (let i = 0; i < len; i++) {
-      await executeAsyncHandler(listeners[i], args, continueOnError, logErrors);
-    }
+  // Iterate over the snapshot in execution order, awaiting each handler
+  const signal = emission.options?.signal;
+  const len = ordered.length;
+  for (let i = 0; i < len && !emission.stopped; i++) {
+    // Do not start further handlers once the emission has been cancelled
+    if (signal?.aborted) throw signal.reason;
+    const promise = startAsyncListener(ordered[i], emission, i);
+    if (promise) await promise;
   }
+  throwFailures(emission);
+}
 
-  // Use reverse for-i loop for once listeners to allow safe removal
-  if (onceListeners) {
-    for (let i = onceListeners.length - 1; i >= 0; i--) {
-      const listener = onceListeners[i];
-      await executeAsyncHandler(listener, args, continueOnError, logErrors);
-      // Remove the executed once listener
-      onceListeners.splice(i, 1);
+/**
+ * Returns the middleware to run around an emission: global middleware first, then the event's own.
+ * Returns null when there is none, so emissions without middleware dispatch directly.
+ */
+function middlewareChain(own: GenericFunction[] | null): GenericFunction[] | null {
+  const global = getGlobalMiddleware();
+  if (global.length === 0) return own;
+  return own ? (global as GenericFunction[]).concat(own) : global;
+}
+
+/**
+ * Runs an emission through its middleware and dispatches it to the handlers.
+ * Each middleware receives the arguments, a `next` function that continues with (possibly replaced) arguments,
+ * and the event. A middleware that does not call `next` blocks the emission.
+ * @returns The value returned by the outermost middleware, or by `run` without middleware
+ */
+function dispatch<T, H extends GenericFunction, R>(
+  emission: Emission<T, H>,
+  middleware: GenericFunction[] | null,
+  run: (emission: Emission<T, H>) => R,
+): R | unknown {
+  if (!middleware) return run(emission);
+  const chain = middleware;
+  const invoke = (index: number, args: T): unknown => {
+    if (index === chain.length) {
+      emission.args = args;
+      return run(emission);
     }
+    return chain[index](args, (next: T) => invoke(index + 1, next), emission.event);
+  };
+  return invoke(0, emission.args);
+}
+
+/**
+ * Runs a synchronous emission through its middleware.
+ * A middleware that delays `next` returns a promise: the delayed emission can no longer fail emit(),
+ * so its failure is reported instead of becoming an unhandled rejection.
+ */
+function dispatchSync<T>(emission: Emission<T, EventHandler<T>>, middleware: GenericFunction[] | null): void {
+  const result = dispatch(emission, middleware, emitSyncHandlers);
+  if (result && typeof (result as PromiseLike<unknown>).then === 'function') {
+    (result as PromiseLike<unknown>).then(undefined, (error) => {
+      console.error('Error in delayed event emission:', error);
+    });
   }
 }
 
-// --- Base Event Methods ---
-const baseEventMethods = {
-  add<H extends GenericFunction>(this: BaseEventContext<H>, ...args: unknown[]): () => void {
-    const { handler, caller, options } = parseAddArgs<H>(args);
-    const listener: CompactListener<H> = { h: handler, c: caller };
+/**
+ * Runs an asynchronous emission through its middleware and waits for its handlers.
+ * The handlers are awaited even when a middleware does not return the promise of `next`,
+ * as middleware written in the synchronous style does.
+ */
+async function dispatchAsync<T>(
+  emission: Emission<T, AsyncEventHandler<T>>,
+  middleware: GenericFunction[] | null,
+  parallel: boolean | number,
+): Promise<void> {
+  if (!middleware) return emitAsyncHandlers(emission, parallel);
+  let handlers = null as Promise<void> | null;
+  await dispatch(emission, middleware, (e) => {
+    handlers = emitAsyncHandlers(e, parallel);
+    // A failure is rethrown by the await below, even if the middleware dropped the promise
+    handlers.catch(() => {});
+    return handlers;
+  });
+  if (handlers) await handlers;
+}
+
+/**
+ * Turns the results stored by handler index into a dense array in execution order.
+ * Indexes of handlers that were skipped or failed are holes, which filter() drops.
+ */
+function compactResults<R>(results: unknown[] | null): R[] {
+  return results ? (results.filter(() => true) as R[]) : [];
+}
+
+/**
+ * Emits synchronously and returns the values returned by the handlers in execution order.
+ */
+function collectSyncResults<T, R>(event: BaseEventContext<EventHandler<T>>, args: T, settings: EmitSettings): R[] {
+  const middleware = middlewareChain(settings.middleware);
+  if (isIdle(event, middleware)) {
+    return [];
+  }
+  const emission = createEmission(event, args, settings, undefined, true);
+  dispatchSync(emission, middleware);
+  return compactResults<R>(emission.results);
+}
+
+/**
+ * Emits asynchronously and resolves with the values resolved by the handlers in execution order.
+ */
+async function collectAsyncResults<T, R>(
+  event: BaseEventContext<AsyncEventHandler<T>>,
+  args: T,
+  settings: AsyncEmitSettings,
+  options?: AsyncEmitOptions,
+): Promise<R[]> {
+  const middleware = middlewareChain(settings.middleware);
+  if (!middleware && hasNoListeners(event)) {
+    return [];
+  }
+  const emission = createEmission(event, args, settings, options, true);
+  await dispatchAsync(emission, middleware, settings.parallel);
+  return compactResults<R>(emission.results);
+}
+
+/**
+ * Resolves with the next emitted arguments matching `predicate`.
+ * Rejects with a MonoTimeoutError after the timeout, or with the abort reason when the signal aborts;
+ * in both cases the temporary listener is removed.
+ */
+function waitForEvent<T>(
+  event: BaseEventContext<EventHandler<T>>,
+  predicate: ((args: T) => boolean) | null,
+  options: WaitForOptions = {},
+): Promise<T> {
+  const { signal, timeout } = options;
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  return new Promise<T>((resolve, reject) => {
+    let timeoutId: ReturnType<typeof setTimeout> | null = null;
+    let unsubscribe: (() => void) | null = null;
+
+    const cleanup = () => {
+      if (timeoutId !== null) clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    const fail = (reason: unknown) => {
+      cleanup();
+      if (unsubscribe) unsubscribe();
+      reject(reason);
+    };
+    const onAbort = () => fail(signal?.reason);
+
+    // Set up before adding the listener, which a replay event may call right away; settling cleans them up
+    if (signal) signal.addEventListener('abort', onAbort);
+    if (timeout !== undefined) {
+      timeoutId = setTimeout(
+        () => fail(new MonoTimeoutError(timeout, `Timed out after ${timeout}ms waiting for an event`)),
+        timeout,
+      );
+    }
+
+    // The filter keeps the once listener registered until a matching payload arrives.
+    // A predicate that throws rejects the promise instead of failing the emission; the once listener
+    // is then consumed, and its resolve() has no effect on the rejected promise.
+    const filter = predicate
+      ? (args: T) => {
+          try {
+            return predicate(args);
+          } catch (error) {
+            cleanup();
+            reject(error);
+            return true;
+          }
+        }
+      : undefined;
+    unsubscribe = event.add(
+      (args: T) => {
+        cleanup();
+        resolve(args);
+      },
+      { once: true, filter },
+    );
+  });
+}
 
-    let targetArray: CompactListener<H>[];
+/**
+ * Bridges emissions to an async iterator.
+ * The listener is added immediately and emissions are buffered until they are pulled;
+ * the listener is removed when the iterator is closed with return() (e.g. by breaking out of `for await`).
+ */
+function iterateEvent<T>(
+  event: BaseEventContext<EventHandler<T>>,
+  options: IterateOptions = {},
+): AsyncIterableIterator<T> {
+  const { bufferSize = Number.POSITIVE_INFINITY, overflow = 'drop-oldest' } = options;
+  const buffer: T[] = [];
+  const waiting: ((result: IteratorResult<T>) => void)[] = [];
+  let closed = false;
+  let failed = false;
+  let failure: unknown;
+  let unsubscribe: (() => void) | null = null;
+
+  const close = () => {
+    closed = true;
+    if (unsubscribe) unsubscribe();
+    for (const resolve of waiting.splice(0)) resolve({ value: undefined, done: true });
+  };
 
-    if (options.once) {
-      if (!this.onceListeners) {
-        this.onceListeners = [];
+  const remove = event.add((args: T) => {
+    const resolve = waiting.shift();
+    if (resolve) {
+      resolve({ value: args, done: false });
+      return;
+    }
+    if (buffer.length >= bufferSize) {
+      if (overflow === 'error') {
+        // Values buffered before the overflow are still delivered, then the iterator fails
+        failed = true;
+        failure = new MonoBufferOverflowError(bufferSize);
+        close();
+        return;
       }
-      targetArray = this.onceListeners;
-    } else {
-      if (!this.listeners) {
-        this.listeners = [];
+      // Without any room there is no older value to drop in favor of the new one
+      if (overflow === 'drop-newest' || buffer.length === 0) return;
+      buffer.shift();
+    }
+    buffer.push(args);
+  });
+  // A replay event may overflow the buffer, closing the iterator, while the listener is added
+  if (closed) {
+    remove();
+  } else {
+    unsubscribe = remove;
+  }
+
+  return {
+    next(): Promise<IteratorResult<T>> {
+      if (buffer.length > 0) return Promise.resolve({ value: buffer.shift() as T, done: false });
+      if (failed) {
+        failed = false;
+        return Promise.reject(failure);
       }
-      targetArray = this.listeners;
+      if (closed) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve) => {
+        waiting.push(resolve);
+      });
+    },
+
+    return(): Promise<IteratorResult<T>> {
+      buffer.length = 0;
+      failed = false;
+      if (!closed) close();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
+
+/**
+ * Creates a listener from the parsed add() arguments and registers it on the event.
+ * Returns null if the listener was not attached because its signal is already aborted.
+ */
+function attachListener<H extends GenericFunction>(
+  event: BaseEventContext<H>,
+  handler: H,
+  caller: Caller | null,
+  options: EventOptions,
+): CompactListener<H> | null {
+  const { signal } = options;
+
+  // A listener registered with an already aborted signal is never attached
+  if (signal?.aborted) {
+    return null;
+  }
+
+  const once = !!options.once;
+  const weak = !!options.weak && !!caller;
+  const listener: CompactListener<H> = {
+    h: handler,
+    c: weak ? null : caller,
+    w: weak ? new WeakRef(caller as Caller) : null,
+    p: 0,
+    s: 0,
+    o: once,
+    d: null,
+    f: options.filter || null,
+  };
+  assignOrder(event, listener, options);
+
+  let targetArray: CompactListener<H>[];
+
+  if (once) {
+    if (!event.onceListeners) {
+      event.onceListeners = [];
     }
+    targetArray = event.onceListeners;
+  } else {
+    if (!event.listeners) {
+      event.listeners = [];
+    }
+    targetArray = event.listeners;
+  }
 
-    targetArray.push(listener);
+  insertListener(targetArray, listener);
+  if (caller) {
+    if (!event.callers) event.callers = new WeakMap();
+    const owned = event.callers.get(caller);
+    if (owned) {
+      owned.push(listener);
+    } else {
+      event.callers.set(caller, [listener]);
+    }
+  }
+  if (event.onActivity && countListeners(event) === 1) event.onActivity(true);
 
-    const self = this;
-    return function unsubscribe() {
-      if (caller !== null) {
-        self.remove(caller, handler);
-      } else {
-        self.remove(handler);
-      }
+  if (signal) {
+    const onAbort = () => {
+      detachListener(event, listener);
+    };
+    signal.addEventListener('abort', onAbort);
+    listener.d = () => signal.removeEventListener('abort', onAbort);
+  }
+
+  if (weak) {
+    const registry = weakListenerRegistry();
+    registry.register(caller as Caller, { event: new WeakRef(event), listener }, listener);
+    const cleanup = listener.d;
+    listener.d = () => {
+      registry.unregister(listener);
+      if (cleanup) cleanup();
     };
+  }
+
+  return listener;
+}
+
+// --- Base Event Methods ---
+const baseEventMethods = {
+  add<H extends GenericFunction>(this: BaseEventContext<H>, ...args: unknown[]): Unsubscribe {
+    const { handler, caller, options } = parseAddArgs<H>(args);
+    const listener = attachListener(this, handler, caller, options);
+    if (!listener) {
+      return disposable(function unsubscribe() {});
+    }
+
+    if (this.replay) {
+      const state = this.replay;
+      pruneReplay(state);
+      deliverTo(
+        this as BaseEventContext<any>,
+        listener,
+        state.entries.map((entry) => entry.args),
+        state.settings,
+      );
+    }
+
+    const self = this;
+    return disposable(function unsubscribe() {
+      detachListener(self, listener);
+    });
   },
 
   remove<H extends GenericFunction>(this: BaseEventContext<H>, ...args: unknown[]): boolean {
     const { handler, caller } = parseRemoveArgs<H>(args);
-    let removed = false;
 
     // Search listeners array backwards using a for loop
     if (this.listeners) {
       for (let i = this.listeners.length - 1; i >= 0; i--) {
         const listener = this.listeners[i];
-        if (listener.h === handler && listener.c === caller) {
-          this.listeners.splice(i, 1);
-          removed = true;
-          break; // Exit loop once found and removed
+        if (listener.h === handler && (listener.w ? listener.w.deref() : listener.c) === caller) {
+          detachAt(this, this.listeners, i);
+          return true;
         }
       }
     }
 
-    // Search onceListeners array backwards using a for loop if not removed from listeners
-    if (!removed && this.onceListeners) {
+    // Search onceListeners array backwards using a for loop if not found in listeners
+    if (this.onceListeners) {
       for (let i = this.onceListeners.length - 1; i >= 0; i--) {
         const listener = this.onceListeners[i];
-        if (listener.h === handler && listener.c === caller) {
-          this.onceListeners.splice(i, 1);
-          removed = true;
-          break; // Exit loop once found and removed
+        if (listener.h === handler && (listener.w ? listener.w.deref() : listener.c) === caller) {
+          detachAt(this, this.onceListeners, i);
+          return true;
         }
       }
     }
-    return removed;
+    return false;
+  },
+
+  next<T>(this: BaseEventContext<EventHandler<T>>, options?: WaitForOptions): Promise<T> {
+    return waitForEvent(this, null, options);
+  },
+
+  waitFor<T>(
+    this: BaseEventContext<EventHandler<T>>,
+    predicate: (args: T) => boolean,
+    options?: WaitForOptions,
+  ): Promise<T> {
+    return waitForEvent(this, predicate, options);
+  },
+
+  iterate<T>(this: BaseEventContext<EventHandler<T>>, options?: IterateOptions): AsyncIterableIterator<T> {
+    return iterateEvent(this, options);
   },
 
   removeAll<H extends GenericFunction>(this: BaseEventContext<H>): void {
-    if (this.listeners) this.listeners.length = 0;
-    if (this.onceListeners) this.onceListeners.length = 0;
+    // Detach from the end so that cleanups run without shifting the arrays
+    if (this.listeners) {
+      for (let i = this.listeners.length - 1; i >= 0; i--) detachAt(this, this.listeners, i);
+    }
+    if (this.onceListeners) {
+      for (let i = this.onceListeners.length - 1; i >= 0; i--) detachAt(this, this.onceListeners, i);
+    }
+  },
+
+  removeByCaller<H extends GenericFunction>(this: BaseEventContext<H>, caller: Caller): number {
+    const owned = this.callers ? this.callers.get(caller) : undefined;
+    if (!owned) return 0;
+    // Detaching updates the index, so iterate over a copy
+    const listeners = owned.slice();
+    for (const listener of listeners) detachListener(this, listener);
+    return listeners.length;
+  },
+
+  listenerCount<H extends GenericFunction>(this: BaseEventContext<H>): number {
+    return countListeners(this);
+  },
+
+  has<H extends GenericFunction>(this: BaseEventContext<H>, ...args: unknown[]): boolean {
+    const { handler, caller } = parseRemoveArgs<H>(args);
+    if (caller) {
+      const owned = this.callers ? this.callers.get(caller) : undefined;
+      return !!owned && owned.some((listener) => listener.h === handler);
+    }
+    const arrays = [this.listeners, this.onceListeners];
+    for (let a = 0; a < 2; a++) {
+      const array = arrays[a];
+      if (!array) continue;
+      for (let i = 0; i < array.length; i++) {
+        const listener = array[i];
+        if (listener.h === handler && !listener.c && !listener.w) return true;
+      }
+    }
+    return false;
+  },
+
+  getListeners<H extends GenericFunction>(this: BaseEventContext<H>): ListenerInfo<H>[] {
+    const result: ListenerInfo<H>[] = [];
+    for (const listener of orderedListeners(this.listeners, this.onceListeners)) {
+      const caller = callerOf(listener);
+      // Listeners of collected weakly held callers are about to be removed
+      if (listener.w && !caller) continue;
+      result.push({ handler: listener.h, caller, once: listener.o, priority: listener.p });
+    }
+    return result;
+  },
+};
+
+// --- Pipe Methods ---
+const pipeMethods = {
+  pipe<T>(this: BaseEventContext<EventHandler<T>>, ...operators: Operator<any, any>[]) {
+    // Operator state starts fresh with every subscription, as the chain is built when the source is added to
+    return createLazyEvent<unknown>((emit) =>
+      this.add(operators.reduceRight<(value: any) => void>((next, operator) => operator(next), emit)),
+    );
+  },
+};
+
+// --- Middleware Methods ---
+const middlewareMethods = {
+  use(this: EmitSettings, middleware: GenericFunction): () => void {
+    // Replace instead of mutating so that running emissions keep the chain they started with
+    this.middleware = this.middleware ? this.middleware.concat(middleware) : [middleware];
+    const self = this;
+    return function unuse() {
+      const current = self.middleware;
+      const index = current ? current.indexOf(middleware) : -1;
+      if (index === -1) return;
+      const remaining = (current as GenericFunction[]).filter((_, i) => i !== index);
+      self.middleware = remaining.length > 0 ? remaining : null;
+    };
   },
 };
 
 // --- Sync Emit Methods ---
 const syncEmitMethods = {
-  emit<T>(this: SyncEventContext<T>, args: T): void {
-    if ((!this.listeners || this.listeners.length === 0) && (!this.onceListeners || this.onceListeners.length === 0)) {
-      return;
+  emit<T>(this: SyncEventContext<T>, args: T): boolean | undefined {
+    const middleware = middlewareChain(this.middleware);
+    if (isIdle(this, middleware)) {
+      return emitResult(this, null);
     }
-    emitSyncHandlers(this.listeners, this.onceListeners, args, this.continueOnError, this.logErrors);
+    const emission = createEmission(this, args, this);
+    dispatchSync(emission, middleware);
+    return emitResult(this, emission);
+  },
+
+  emitCollect<T, R>(this: SyncEventContext<T>, args: T): R[] {
+    return collectSyncResults<T, R>(this, args, this);
+  },
+
+  emitReduce<T, R, V>(
+    this: SyncEventContext<T>,
+    args: T,
+    reducer: (accumulator: R, value: V) => R,
+    initialValue: R,
+  ): R {
+    return collectSyncResults<T, V>(this, args, this).reduce(reducer, initialValue);
   },
 };
 
 // --- Restricted Sync Emit Methods ---
 const restrictedSyncEmitMethods = {
-  emit<T>(this: RestrictedSyncEmitContext<T>, args: T): void {
-    const { listeners, onceListeners } = this.event;
-    if ((!listeners || listeners.length === 0) && (!onceListeners || onceListeners.length === 0)) {
-      return;
+  emit<T>(this: RestrictedSyncEmitContext<T>, args: T): boolean | undefined {
+    const middleware = middlewareChain(this.middleware);
+    if (isIdle(this.event, middleware)) {
+      return emitResult(this, null);
     }
-    emitSyncHandlers(listeners, onceListeners, args, this.continueOnError, this.logErrors);
+    const emission = createEmission(this.event, args, this);
+    dispatchSync(emission, middleware);
+    return emitResult(this, emission);
   },
 };
 
 // --- Async Emit Methods ---
 const asyncEmitMethods = {
-  async emit<T>(this: AsyncEventContext<T>, args: T): Promise<void> {
-    if ((!this.listeners || this.listeners.length === 0) && (!this.onceListeners || this.onceListeners.length === 0)) {
-      return;
+  async emit<T>(this: AsyncEventContext<T>, args: T, options?: AsyncEmitOptions): Promise<boolean | undefined> {
+    const middleware = middlewareChain(this.middleware);
+    if (!middleware && hasNoListeners(this)) {
+      return emitResult(this, null);
     }
-    await emitAsyncHandlers(
-      this.listeners,
-      this.onceListeners,
-      args,
-      this.parallel,
-      this.continueOnError,
-      this.logErrors,
-    );
+    const emission = createEmission(this, args, this, options);
+    await dispatchAsync(emission, middleware, this.parallel);
+    return emitResult(this, emission);
   },
 
-  async _emitParallel<T>(this: AsyncEventContext<T>, args: T): Promise<void> {
-    if ((!this.listeners || this.listeners.length === 0) && (!this.onceListeners || this.onceListeners.length === 0)) {
-      return;
+  emitCollect<T, R>(this: AsyncEventContext<T>, args: T, options?: AsyncEmitOptions): Promise<R[]> {
+    return collectAsyncResults<T, R>(this, args, this, options);
+  },
+
+  async emitReduce<T, R, V>(
+    this: AsyncEventContext<T>,
+    args: T,
+    reducer: (accumulator: R, value: V) => R,
+    initialValue: R,
+    options?: AsyncEmitOptions,
+  ): Promise<R> {
+    const values = await collectAsyncResults<T, V>(this, args, this, options);
+    return values.reduce(reducer, initialValue);
+  },
+
+  async _emitParallel<T>(
+    this: AsyncEventContext<T>,
+    args: T,
+    options?: AsyncEmitOptions,
+  ): Promise<boolean | undefined> {
+    const middleware = middlewareChain(this.middleware);
+    if (!middleware && hasNoListeners(this)) {
+      return emitResult(this, null);
     }
-    await emitAsyncParallel(this.listeners, this.onceListeners, args, this.continueOnError, this.logErrors);
+    const emission = createEmission(this, args, this, options);
+    await dispatchAsync(emission, middleware, true);
+    return emitResult(this, emission);
   },
 
-  async _emitSequential<T>(this: AsyncEventContext<T>, args: T): Promise<void> {
-    if ((!this.listeners || this.listeners.length === 0) && (!this.onceListeners || this.onceListeners.length === 0)) {
-      return;
+  async _emitSequential<T>(
+    this: AsyncEventContext<T>,
+    args: T,
+    options?: AsyncEmitOptions,
+  ): Promise<boolean | undefined> {
+    const middleware = middlewareChain(this.middleware);
+    if (!middleware && hasNoListeners(this)) {
+      return emitResult(this, null);
     }
-    await emitAsyncSequential(this.listeners, this.onceListeners, args, this.continueOnError, this.logErrors);
+    const emission = createEmission(this, args, this, options);
+    await dispatchAsync(emission, middleware, false);
+    return emitResult(this, emission);
   },
 };
 
 // --- Restricted Async Emit Methods ---
 const restrictedAsyncEmitMethods = {
-  async emit<T>(this: RestrictedAsyncEmitContext<T>, args: T): Promise<void> {
-    const { listeners, onceListeners } = this.event;
-    if ((!listeners || listeners.length === 0) && (!onceListeners || onceListeners.length === 0)) {
-      return;
+  async emit<T>(
+    this: RestrictedAsyncEmitContext<T>,
+    args: T,
+    options?: AsyncEmitOptions,
+  ): Promise<boolean | undefined> {
+    const middleware = middlewareChain(this.middleware);
+    if (!middleware && hasNoListeners(this.event)) {
+      return emitResult(this, null);
     }
-    await emitAsyncHandlers(listeners, onceListeners, args, this.parallel, this.continueOnError, this.logErrors);
+    const emission = createEmission(this.event, args, this, options);
+    await dispatchAsync(emission, middleware, this.parallel);
+    return emitResult(this, emission);
   },
 
-  async _emitParallel<T>(this: RestrictedAsyncEmitContext<T>, args: T): Promise<void> {
-    const { listeners, onceListeners } = this.event;
-    if ((!listeners || listeners.length === 0) && (!onceListeners || onceListeners.length === 0)) {
-      return;
+  async _emitParallel<T>(
+    this: RestrictedAsyncEmitContext<T>,
+    args: T,
+    options?: AsyncEmitOptions,
+  ): Promise<boolean | undefined> {
+    const middleware = middlewareChain(this.middleware);
+    if (!middleware && hasNoListeners(this.event)) {
+      return emitResult(this, null);
     }
-    await emitAsyncParallel(listeners, onceListeners, args, this.continueOnError, this.logErrors);
+    const emission = createEmission(this.event, args, this, options);
+    await dispatchAsync(emission, middleware, true);
+    return emitResult(this, emission);
   },
 
-  async _emitSequential<T>(this: RestrictedAsyncEmitContext<T>, args: T): Promise<void> {
-    const { listeners, onceListeners } = this.event;
-    if ((!listeners || listeners.length === 0) && (!onceListeners || onceListeners.length === 0)) {
-      return;
+  async _emitSequential<T>(
+    this: RestrictedAsyncEmitContext<T>,
+    args: T,
+    options?: AsyncEmitOptions,
+  ): Promise<boolean | undefined> {
+    const middleware = middlewareChain(this.middleware);
+    if (!middleware && hasNoListeners(this.event)) {
+      return emitResult(this, null);
+    }
+    const emission = createEmission(this.event, args, this, options);
+    await dispatchAsync(emission, middleware, false);
+    return emitResult(this, emission);
+  },
+};
+
+// --- State Methods ---
+
+/**
+ * Notifies the listeners of a state of its new value.
+ * Middleware does not run, so that listeners always receive the value that was stored.
+ */
+function notifyState<T>(state: StateContext<T>, value: T): void {
+  if (hasNoListeners(state)) return;
+  emitSyncHandlers(createEmission(state, value, state));
+}
+
+const stateMethods = {
+  add<T>(this: StateContext<T>, ...args: unknown[]): Unsubscribe {
+    const { handler, caller, options } = parseAddArgs<EventHandler<T>>(args);
+    const listener = attachListener(this, handler, caller, options);
+    if (!listener) {
+      return disposable(function unsubscribe() {});
+    }
+
+    if ((options as StateListenerOptions<T>).immediate) {
+      deliverTo(this, listener, [this.current], this);
+    }
+
+    const self = this;
+    return disposable(function unsubscribe() {
+      detachListener(self, listener);
+    });
+  },
+
+  set<T>(this: StateContext<T>, value: T): void {
+    if (this.equals(this.current, value)) return;
+    this.current = value;
+    this.version++;
+    notifyState(this, value);
+  },
+
+  update<T>(this: StateContext<T>, updater: (current: T) => T): void {
+    (stateMethods.set<T>).call(this, updater(this.current));
+  },
+};
+
+// --- Computed Methods ---
+const computedMethods = {
+  add: stateMethods.add,
+
+  refresh<T>(this: ComputedContext<T>): void {
+    // Sources refreshed by the running computation notify it again, but it reads their new values anyway
+    if (this.computing || (this.sources && !isStale(this.sources))) return;
+
+    const initial = this.sources === null;
+    this.computing = true;
+    let value: T;
+    let sources: Map<TrackedSource, number>;
+    try {
+      ({ value, sources } = runTracked(this.compute));
+    } finally {
+      this.computing = false;
+    }
+    this.sources = sources;
+    if (this.subscriptions) {
+      this.subscriptions = syncSubscriptions(this.subscriptions, sources, (source) =>
+        source.add(this, computedMethods.refresh),
+      );
+    }
+
+    if (!initial && this.equals(this.current, value)) return;
+    this.current = value;
+    this.version++;
+    // Only notify while subscribed, so that listeners are not called for changes made before they were added
+    if (this.subscriptions) {
+      notifyState(this, value);
+    }
+  },
+
+  onActivity<T>(this: ComputedContext<T>, active: boolean): void {
+    if (active) {
+      (computedMethods.refresh<T>).call(this);
+      this.subscriptions = syncSubscriptions(new Map(), this.sources as Map<TrackedSource, number>, (source) =>
+        source.add(this, computedMethods.refresh),
+      );
+    } else if (this.subscriptions) {
+      releaseSubscriptions(this.subscriptions);
+      this.subscriptions = null;
     }
-    await emitAsyncSequential(listeners, onceListeners, args, this.continueOnError, this.logErrors);
   },
 };
 
@@ -417,19 +1587,109 @@ export function createEmitter<T, E extends { emit(args: T): unknown }>(instance:
 
 // --- Prototypes ---
 export const monoProto = Object.create(null);
-Object.assign(monoProto, baseEventMethods, syncEmitMethods);
+Object.assign(monoProto, baseEventMethods, pipeMethods, middlewareMethods, syncEmitMethods);
+
+export const monoStateProto = Object.create(null);
+Object.assign(monoStateProto, baseEventMethods, pipeMethods, stateMethods);
+
+export const monoComputedProto = Object.create(null);
+Object.assign(monoComputedProto, baseEventMethods, pipeMethods, computedMethods);
 
 export const monoRestrictEventProto = Object.create(null);
-Object.assign(monoRestrictEventProto, baseEventMethods);
+Object.assign(monoRestrictEventProto, baseEventMethods, pipeMethods);
 
 export const monoRestrictEmitProto = Object.create(null);
 Object.assign(monoRestrictEmitProto, restrictedSyncEmitMethods);
 
 export const monoAsyncProto = Object.create(null);
-Object.assign(monoAsyncProto, baseEventMethods, asyncEmitMethods);
+Object.assign(monoAsyncProto, baseEventMethods, middlewareMethods, asyncEmitMethods);
 
 export const monoRestrictAsyncEventProto = Object.create(null);
 Object.assign(monoRestrictAsyncEventProto, baseEventMethods);
 
 export const monoRestrictAsyncEmitProto = Object.create(null);
 Object.assign(monoRestrictAsyncEmitProto, restrictedAsyncEmitMethods);
+
+/**
+ * Creates a restricted event and the function emitting it (see monoRestrict).
+ */
+export function createRestrictedEvent<T>(options: EmitterOptions): {
+  event: MonoRestrictedEvent<T>;
+  emit: (args: T) => unknown;
+} {
+  // Set options with defaults
+  const {
+    continueOnError = false,
+    logErrors = false,
+    aggregateErrors = false,
+    onError = null,
+    cancelable = false,
+    onFirstListener,
+    onLastListener,
+  } = options;
+
+  // Create event instance with shared methods
+  const eventInstance = Object.create(monoRestrictEventProto);
+
+  // Add instance-specific properties (listeners are lazily initialized)
+  eventInstance.listeners = null;
+  eventInstance.onceListeners = null;
+  eventInstance.onActivity = activityHook(onFirstListener, onLastListener);
+  eventInstance.callers = null;
+
+  // Create emit instance with shared methods
+  const emitInstance = Object.create(monoRestrictEmitProto);
+
+  // Add instance-specific properties to emitInstance
+  emitInstance.event = eventInstance;
+  emitInstance.continueOnError = continueOnError;
+  emitInstance.logErrors = logErrors;
+  emitInstance.aggregateErrors = aggregateErrors;
+  emitInstance.onError = onError;
+  emitInstance.cancelable = cancelable;
+  emitInstance.middleware = null;
+
+  return {
+    event: eventInstance as MonoRestrictedEvent<T>,
+    emit: emitInstance.emit.bind(emitInstance) as (args: T) => unknown,
+  };
+}
+
+/**
+ * Creates a restricted event whose values are produced by `producer` while it has listeners (see monoFrom).
+ */
+export function createLazyEvent<T>(
+  producer: (emit: (value: T) => void) => () => void,
+  options: Omit<EmitterOptions, 'cancelable'> = {},
+): MonoRestrictedEvent<T> {
+  const { onFirstListener, onLastListener } = options;
+  let stop: (() => void) | null = null;
+  let active = false;
+
+  const { event, emit } = createRestrictedEvent<T>({
+    ...options,
+    onFirstListener: () => {
+      active = true;
+      // Called before starting, so that it precedes onLastListener even if the start removes the last listener
+      if (onFirstListener) onFirstListener();
+      const teardown = producer(emit);
+      // The last listener may already be gone, e.g. a once listener consumed by a value emitted on start
+      if (active) {
+        stop = teardown;
+      } else {
+        teardown();
+      }
+    },
+    onLastListener: () => {
+      active = false;
+      if (stop) {
+        const teardown = stop;
+        stop = null;
+        teardown();
+      }
+      if (onLastListener) onLastListener();
+    },
+  });
+
+  return event;
+}
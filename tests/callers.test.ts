@@ -0,0 +1,37 @@
+import { describe, expect, it, vi } from 'vitest';
+import { detachCaller, mono, monoAsync, monoRestrict } from '../src/index';
+
+describe('detachCaller', () => {
+  it('should remove the listeners of the caller from every event', async () => {
+    const sync = mono<number>();
+    const async = monoAsync<number>();
+    const { event, emit } = monoRestrict<number>();
+    const view = { onSync: vi.fn(), onAsync: vi.fn(), onEvent: vi.fn() };
+    const other = { onSync: vi.fn() };
+
+    sync.add(view, view.onSync);
+    sync.add(other, other.onSync);
+    async.add(view, view.onAsync);
+    event.add(view, view.onEvent);
+
+    expect(detachCaller(view, [sync, async, event])).toBe(3);
+
+    sync.emit(1);
+    await async.emit(2);
+    emit(3);
+
+    expect(view.onSync).not.toHaveBeenCalled();
+    expect(view.onAsync).not.toHaveBeenCalled();
+    expect(view.onEvent).not.toHaveBeenCalled();
+    expect(other.onSync).toHaveBeenCalledWith(1);
+  });
+
+  it('should accept any iterable of events', () => {
+    const events = new Set([mono<number>(), mono<number>()]);
+    const view = { handle: vi.fn() };
+    for (const event of events) event.add(view, view.handle);
+
+    expect(detachCaller(view, events)).toBe(2);
+    expect(detachCaller(view, events)).toBe(0);
+  });
+});
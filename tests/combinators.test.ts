@@ -0,0 +1,121 @@
+import { describe, expect, it, vi } from 'vitest';
+import { combineLatest, merge, mono, monoReplay, monoRestrict, race, zip } from '../src/index';
+
+describe('combinators', () => {
+  describe('merge', () => {
+    it('should emit the values of every source', () => {
+      const a = mono<number>();
+      const { event: b, emit: emitB } = monoRestrict<string>();
+      const handler = vi.fn();
+      merge(a, b).add(handler);
+
+      a.emit(1);
+      emitB('x');
+
+      expect(handler.mock.calls).toEqual([[1], ['x']]);
+    });
+
+    it('should detach from every source when its last listener is removed', () => {
+      const a = mono<number>();
+      const b = mono<number>();
+      const remove = merge(a, b).add(vi.fn());
+
+      expect(a.emitCollect(0)).toHaveLength(1);
+      expect(b.emitCollect(0)).toHaveLength(1);
+
+      remove();
+
+      expect(a.emitCollect(0)).toHaveLength(0);
+      expect(b.emitCollect(0)).toHaveLength(0);
+    });
+
+    it('should not subscribe to the sources before it has listeners', () => {
+      const a = mono<number>();
+      merge(a);
+
+      expect(a.emitCollect(0)).toHaveLength(0);
+    });
+  });
+
+  describe('combineLatest', () => {
+    it('should emit the latest values once every source has emitted', () => {
+      const a = mono<number>();
+      const b = mono<string>();
+      const handler = vi.fn();
+      combineLatest(a, b).add(handler);
+
+      a.emit(1);
+      a.emit(2);
+      b.emit('x');
+      a.emit(3);
+
+      expect(handler.mock.calls).toEqual([[[2, 'x']], [[3, 'x']]]);
+    });
+  });
+
+  describe('zip', () => {
+    it('should pair values by order of emission', () => {
+      const a = mono<number>();
+      const b = mono<string>();
+      const handler = vi.fn();
+      zip(a, b).add(handler);
+
+      a.emit(1);
+      a.emit(2);
+      b.emit('x');
+      b.emit('y');
+      b.emit('z');
+
+      expect(handler.mock.calls).toEqual([[[1, 'x']], [[2, 'y']]]);
+    });
+
+    it('should discard queued values when unsubscribed', () => {
+      const a = mono<number>();
+      const b = mono<string>();
+      const zipped = zip(a, b);
+      const handler = vi.fn();
+      const remove = zipped.add(handler);
+
+      a.emit(1);
+      remove();
+      zipped.add(handler);
+      b.emit('x');
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('race', () => {
+    it('should follow the first source to emit and detach the others', () => {
+      const a = mono<number>();
+      const b = mono<number>();
+      const handler = vi.fn();
+      race(a, b).add(handler);
+
+      b.emit(1);
+      a.emit(2);
+      b.emit(3);
+
+      expect(handler.mock.calls).toEqual([[1], [3]]);
+      expect(a.emitCollect(0)).toHaveLength(0);
+    });
+
+    it('should follow a source that emits while it is added', () => {
+      const a = mono<number>();
+      const replay = monoReplay<number>({ bufferSize: 2 });
+      const b = mono<number>();
+      replay.emit(1);
+      replay.emit(2);
+      const handler = vi.fn();
+
+      race(a, replay, b).add(handler);
+      a.emit(3);
+      b.emit(4);
+      replay.emit(5);
+
+      expect(handler.mock.calls).toEqual([[1], [2], [5]]);
+      expect(a.emitCollect(0)).toHaveLength(0);
+      expect(b.emitCollect(0)).toHaveLength(0);
+    });
+  });
+});
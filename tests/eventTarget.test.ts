@@ -0,0 +1,164 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fromEventTarget, mono, monoReplay, toEventTarget } from '../src/index';
+
+describe('eventTarget', () => {
+  describe('fromEventTarget', () => {
+    it('should emit the DOM events of the type', () => {
+      const target = new EventTarget();
+      const clicks = fromEventTarget(target, 'click');
+      const handler = vi.fn();
+      clicks.add(handler);
+
+      const domEvent = new Event('click');
+      target.dispatchEvent(domEvent);
+      target.dispatchEvent(new Event('other'));
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(domEvent);
+    });
+
+    it('should attach the DOM listener only while subscribed', () => {
+      const target = new EventTarget();
+      const addEventListener = vi.spyOn(target, 'addEventListener');
+      const removeEventListener = vi.spyOn(target, 'removeEventListener');
+      const clicks = fromEventTarget(target, 'click', { capture: true });
+
+      expect(addEventListener).not.toHaveBeenCalled();
+
+      const remove = clicks.add(vi.fn());
+      clicks.add(vi.fn(), { once: true });
+      expect(addEventListener).toHaveBeenCalledTimes(1);
+
+      target.dispatchEvent(new Event('click'));
+      remove();
+      expect(removeEventListener).toHaveBeenCalledTimes(1);
+      expect(removeEventListener.mock.calls[0][1]).toBe(addEventListener.mock.calls[0][1]);
+    });
+
+    it('should remove its listeners after the first DOM event with once', () => {
+      const target = new EventTarget();
+      const loaded = fromEventTarget(target, 'load', { once: true });
+      const handler = vi.fn();
+      loaded.add(handler);
+
+      target.dispatchEvent(new Event('load'));
+      target.dispatchEvent(new Event('load'));
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(loaded.listenerCount()).toBe(0);
+    });
+
+    it('should remove its listeners and stop listening when the signal aborts', () => {
+      const target = new EventTarget();
+      const controller = new AbortController();
+      const clicks = fromEventTarget(target, 'click', { signal: controller.signal });
+      const handler = vi.fn();
+      clicks.add(handler);
+
+      controller.abort();
+      target.dispatchEvent(new Event('click'));
+      clicks.add(handler);
+      target.dispatchEvent(new Event('click'));
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toEventTarget', () => {
+    it('should dispatch the emitted values as CustomEvents', () => {
+      const event = mono<{ id: number }>();
+      const target = toEventTarget(event, 'change');
+      const listener = vi.fn();
+      target.addEventListener('change', listener);
+
+      event.emit({ id: 1 });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      const domEvent = listener.mock.calls[0][0] as CustomEvent;
+      expect(domEvent).toBeInstanceOf(typeof CustomEvent === 'function' ? CustomEvent : Event);
+      expect(domEvent.type).toBe('change');
+      expect(domEvent.detail).toEqual({ id: 1 });
+    });
+
+    it('should subscribe to the event only while the target has listeners', () => {
+      const event = mono<number>();
+      const target = toEventTarget(event);
+      const listener = vi.fn();
+      const other = { handleEvent: vi.fn() };
+
+      expect(event.listenerCount()).toBe(0);
+
+      target.addEventListener('message', listener);
+      target.addEventListener('message', listener);
+      target.addEventListener('message', other);
+      expect(event.listenerCount()).toBe(1);
+
+      event.emit(1);
+      target.removeEventListener('message', listener);
+      expect(event.listenerCount()).toBe(1);
+
+      target.removeEventListener('message', other);
+      expect(event.listenerCount()).toBe(0);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(other.handleEvent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should unsubscribe after a once listener ran', () => {
+      const event = mono<number>();
+      const target = toEventTarget(event);
+      const listener = vi.fn();
+      target.addEventListener('message', listener, { once: true });
+
+      event.emit(1);
+      event.emit(2);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(event.listenerCount()).toBe(0);
+    });
+
+    it('should unsubscribe when the signal of the last listener aborts', () => {
+      const event = mono<number>();
+      const target = toEventTarget(event);
+      const controller = new AbortController();
+      const listener = vi.fn();
+      target.addEventListener('message', listener, { signal: controller.signal });
+
+      controller.abort();
+      event.emit(1);
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(event.listenerCount()).toBe(0);
+
+      target.addEventListener('message', listener, { signal: controller.signal });
+      expect(event.listenerCount()).toBe(0);
+    });
+
+    it('should distinguish capture listeners and leave other types alone', () => {
+      const event = mono<number>();
+      const target = toEventTarget(event);
+      const listener = vi.fn();
+      target.addEventListener('message', listener, true);
+      target.addEventListener('message', listener);
+      target.addEventListener('other', listener);
+
+      event.emit(1);
+      target.removeEventListener('message', listener, { capture: true });
+      event.emit(2);
+      target.dispatchEvent(new Event('other'));
+
+      expect(listener).toHaveBeenCalledTimes(4);
+    });
+
+    it('should unsubscribe when a once listener is ended by a value emitted while subscribing', () => {
+      const event = monoReplay<number>();
+      event.emit(1);
+      const target = toEventTarget(event);
+      const listener = vi.fn();
+
+      target.addEventListener('message', listener, { once: true });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(event.listenerCount()).toBe(0);
+    });
+  });
+});
@@ -1,4 +1,8 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import v8 from 'node:v8';
+import vm from 'node:vm';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MonoBufferOverflowError, MonoHandlerError, MonoTimeoutError, setDefaultErrorHandler } from '../src/errors';
+import { useGlobalMiddleware } from '../src/middleware';
 import { mono } from '../src/mono';
 import { EventOptions } from '../src/types';
 
@@ -58,6 +62,222 @@ describe('mono', () => {
       expect(handler).toHaveBeenCalledTimes(1);
       expect(handler).toHaveBeenCalledWith('first');
     });
+    it('should run handlers with a higher priority first', () => {
+      const event = mono<void>();
+      const order: string[] = [];
+
+      event.add(() => order.push('app'));
+      event.add(() => order.push('auth'), { priority: 10 });
+      event.add(() => order.push('late'), { priority: -1 });
+      event.add(() => order.push('logging'), { priority: 10 });
+
+      event.emit();
+
+      expect(order).toEqual(['auth', 'logging', 'app', 'late']);
+    });
+
+    it('should order once handlers together with regular handlers', () => {
+      const event = mono<void>();
+      const order: string[] = [];
+
+      event.add(() => order.push('regular'));
+      event.add(() => order.push('once-high'), { once: true, priority: 1 });
+      event.add(() => order.push('once-1'), { once: true });
+      event.add(() => order.push('once-2'), { once: true });
+
+      event.emit();
+      event.emit();
+
+      expect(order).toEqual(['once-high', 'regular', 'once-1', 'once-2', 'regular']);
+    });
+
+    it('should support prepend, before and after options', () => {
+      const event = mono<void>();
+      const order: string[] = [];
+      const first = () => order.push('first');
+      const second = () => order.push('second');
+
+      event.add(first);
+      event.add(second);
+      event.add(() => order.push('prepended'), { prepend: true });
+      event.add(() => order.push('before-second'), { before: second });
+      event.add(() => order.push('after-first'), { after: first, once: true });
+      event.add(() => order.push('after-second'), { after: second });
+
+      event.emit();
+
+      expect(order).toEqual(['prepended', 'first', 'after-first', 'before-second', 'second', 'after-second']);
+    });
+
+    it('should keep the order of many listeners inserted at the same place', () => {
+      const event = mono<void>();
+      const order: number[] = [];
+      const first = () => order.push(0);
+
+      event.add(first);
+      for (let i = 1; i <= 70; i++) {
+        event.add(() => order.push(i), { after: first, once: i % 2 === 0 });
+      }
+      event.add(() => order.push(-1), { before: first });
+
+      event.emit();
+
+      expect(order).toEqual([-1, 0, ...Array.from({ length: 70 }, (_, i) => 70 - i)]);
+    });
+
+    it('should ignore before and after when the referenced handler is not registered', () => {
+      const event = mono<void>();
+      const order: string[] = [];
+
+      event.add(() => order.push('first'));
+      event.add(() => order.push('fallback'), { before: () => {}, priority: 1 });
+
+      event.emit();
+
+      expect(order).toEqual(['fallback', 'first']);
+    });
+    it('should remove the handler when the signal aborts', () => {
+      const event = mono<string>();
+      const controller = new AbortController();
+      const handler = vi.fn();
+
+      event.add(handler, { signal: controller.signal });
+      event.emit('first');
+      controller.abort();
+      event.emit('second');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith('first');
+    });
+
+    it('should not add a handler when the signal is already aborted', () => {
+      const event = mono<string>();
+      const controller = new AbortController();
+      controller.abort();
+      const handler = vi.fn();
+
+      const unsubscribe = event.add(handler, { signal: controller.signal });
+      event.emit('test');
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(event.remove(handler)).toBe(false);
+      expect(() => unsubscribe()).not.toThrow();
+    });
+
+    it('should stop watching the signal once the handler is removed', () => {
+      const event = mono<string>();
+      const controller = new AbortController();
+      const handler = vi.fn();
+
+      event.add(handler, { signal: controller.signal });
+      event.remove(handler);
+      // Registered again without a signal, so aborting must not remove it
+      event.add(handler);
+      controller.abort();
+      event.emit('test');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('filter', () => {
+    it('should only call the handler for payloads matching the filter', () => {
+      const event = mono<{ kind: string }>();
+      const handler = vi.fn();
+      event.add(handler, { filter: (args) => args.kind === 'click' });
+
+      event.emit({ kind: 'hover' });
+      event.emit({ kind: 'click' });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith({ kind: 'click' });
+    });
+
+    it('should not consume a once handler for payloads that do not match', () => {
+      const event = mono<number>();
+      const handler = vi.fn();
+      event.add(handler, { once: true, filter: (n) => n > 1 });
+
+      event.emit(1);
+      event.emit(2);
+      event.emit(3);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(2);
+    });
+
+    it('should remove a filtered handler by its reference', () => {
+      const event = mono<number>();
+      const handler = vi.fn();
+      const caller = {};
+      event.add(handler, { filter: () => true });
+      event.add(caller, handler, { once: true, filter: () => true });
+
+      expect(event.remove(handler)).toBe(true);
+      expect(event.remove(caller, handler)).toBe(true);
+      event.emit(1);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should handle a filter that throws as a failure of its listener', () => {
+      const error = new Error('filter failed');
+      const onError = vi.fn();
+      const event = mono<number>({ continueOnError: true, onError });
+      const filtered = vi.fn();
+      const other = vi.fn();
+      event.add(filtered, {
+        filter: () => {
+          throw error;
+        },
+      });
+      event.add(other);
+
+      event.emit(1);
+
+      expect(filtered).not.toHaveBeenCalled();
+      expect(other).toHaveBeenCalledWith(1);
+      expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({ handler: filtered, args: 1 }));
+    });
+
+    it('should aggregate filter failures and rethrow them by default', () => {
+      const error = new Error('filter failed');
+      const throwing = () => {
+        throw error;
+      };
+      const aggregating = mono<number>({ aggregateErrors: true });
+      const handler = vi.fn();
+      aggregating.add(vi.fn(), { filter: throwing });
+      aggregating.add(handler);
+
+      expect(() => aggregating.emit(1)).toThrow(AggregateError);
+      expect(handler).toHaveBeenCalledTimes(1);
+
+      const event = mono<number>();
+      event.add(vi.fn(), { filter: throwing });
+      expect(() => event.emit(1)).toThrow(error);
+    });
+  });
+
+  describe('disposable unsubscribe', () => {
+    it('should remove the listener when the returned function is disposed', () => {
+      const event = mono<number>();
+      const handler = vi.fn();
+
+      {
+        using _subscription = event.add(handler);
+        event.emit(1);
+      }
+      event.emit(2);
+
+      expect(handler.mock.calls).toEqual([[1]]);
+    });
+
+    it('should dispose the same way as calling the returned function', () => {
+      const event = mono<number>();
+      const unsubscribe = event.add(vi.fn());
+
+      expect(unsubscribe[Symbol.dispose]).toBe(unsubscribe);
+    });
   });
 
   describe('remove', () => {
@@ -103,6 +323,154 @@ describe('mono', () => {
     });
   });
 
+  describe('removeByCaller', () => {
+    it('should remove every listener added with the caller', () => {
+      const event = mono<string>();
+      const view = { a: vi.fn(), b: vi.fn() };
+      const other = { a: vi.fn() };
+      const plain = vi.fn();
+
+      event.add(view, view.a);
+      event.add(view, view.b, { once: true });
+      event.add(other, other.a);
+      event.add(plain);
+
+      expect(event.removeByCaller(view)).toBe(2);
+      event.emit('test');
+
+      expect(view.a).not.toHaveBeenCalled();
+      expect(view.b).not.toHaveBeenCalled();
+      expect(other.a).toHaveBeenCalledWith('test');
+      expect(plain).toHaveBeenCalledWith('test');
+    });
+
+    it('should return 0 for a caller without listeners', () => {
+      const event = mono<string>();
+      const caller = { handle: vi.fn() };
+      event.add(caller, caller.handle);
+      event.remove(caller, caller.handle);
+
+      expect(event.removeByCaller(caller)).toBe(0);
+      expect(event.removeByCaller({})).toBe(0);
+    });
+
+    it('should not remove listeners added again after a once listener ran', () => {
+      const event = mono<string>();
+      const caller = { handle: vi.fn() };
+      event.add(caller, caller.handle, { once: true });
+      event.emit('first');
+      event.add(caller, caller.handle);
+
+      expect(event.removeByCaller(caller)).toBe(1);
+      event.emit('second');
+
+      expect(caller.handle).toHaveBeenCalledTimes(1);
+    });
+
+    it('should run the cleanup of removed listeners', () => {
+      const event = mono<string>();
+      const controller = new AbortController();
+      const removeEventListener = vi.spyOn(controller.signal, 'removeEventListener');
+      const caller = { handle: vi.fn() };
+      event.add(caller, caller.handle, { signal: controller.signal });
+
+      event.removeByCaller(caller);
+
+      expect(removeEventListener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('introspection', () => {
+    it('should count regular and once listeners', () => {
+      const event = mono<string>();
+      expect(event.listenerCount()).toBe(0);
+
+      event.add(vi.fn());
+      event.add(vi.fn(), { once: true });
+      expect(event.listenerCount()).toBe(2);
+
+      event.emit('test');
+      expect(event.listenerCount()).toBe(1);
+    });
+
+    it('should tell whether a handler is registered with or without caller', () => {
+      const event = mono<string>();
+      const handler = vi.fn();
+      const caller = { handle: vi.fn() };
+
+      event.add(handler);
+      event.add(caller, caller.handle);
+
+      expect(event.has(handler)).toBe(true);
+      expect(event.has(caller, caller.handle)).toBe(true);
+      expect(event.has(caller.handle)).toBe(false);
+      expect(event.has({}, caller.handle)).toBe(false);
+      expect(event.has(caller, handler)).toBe(false);
+
+      event.remove(handler);
+      expect(event.has(handler)).toBe(false);
+    });
+
+    it('should return a snapshot of the listeners in execution order', () => {
+      const event = mono<string>();
+      const first = vi.fn();
+      const second = vi.fn();
+      const caller = { handle: vi.fn() };
+
+      event.add(second);
+      event.add(caller, caller.handle, { once: true, priority: 1 });
+      event.add(first, { prepend: true });
+
+      const snapshot = event.getListeners();
+      expect(snapshot).toEqual([
+        { handler: caller.handle, caller, once: true, priority: 1 },
+        { handler: first, caller: null, once: false, priority: 0 },
+        { handler: second, caller: null, once: false, priority: 0 },
+      ]);
+
+      event.removeAll();
+      expect(snapshot).toHaveLength(3);
+      expect(event.getListeners()).toEqual([]);
+    });
+  });
+
+  describe('onFirstListener and onLastListener', () => {
+    it('should be called when the listener count goes from 0 to 1 and from 1 to 0', () => {
+      const onFirstListener = vi.fn();
+      const onLastListener = vi.fn();
+      const event = mono<string>({ onFirstListener, onLastListener });
+      const handler1 = vi.fn();
+      const handler2 = vi.fn();
+
+      event.add(handler1);
+      event.add(handler2, { once: true });
+      expect(onFirstListener).toHaveBeenCalledTimes(1);
+
+      event.emit('test');
+      event.remove(handler1);
+      expect(onLastListener).toHaveBeenCalledTimes(1);
+
+      event.add(handler1);
+      event.removeAll();
+      expect(onFirstListener).toHaveBeenCalledTimes(2);
+      expect(onLastListener).toHaveBeenCalledTimes(2);
+    });
+
+    it('should be called when a once listener is consumed or a signal aborts', () => {
+      const onLastListener = vi.fn();
+      const event = mono<string>({ onLastListener });
+      const controller = new AbortController();
+
+      event.add(vi.fn(), { once: true });
+      event.emit('test');
+      expect(onLastListener).toHaveBeenCalledTimes(1);
+
+      event.add(vi.fn(), { signal: controller.signal });
+      controller.abort();
+      expect(onLastListener).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('removeAll', () => {
     it('should remove all handlers', () => {
       const event = mono<string>();
@@ -188,6 +556,607 @@ describe('mono', () => {
     });
   });
 
+  describe('emitCollect', () => {
+    it('should return the handler return values in execution order', () => {
+      const event = mono<number>();
+
+      event.add((n) => n * 2);
+      event.add((n) => n + 100, { priority: 1 });
+      event.add((n) => `once ${n}`, { once: true });
+
+      expect(event.emitCollect(1)).toEqual([101, 2, 'once 1']);
+      expect(event.emitCollect(2)).toEqual([102, 4]);
+    });
+
+    it('should return an empty array when there are no handlers', () => {
+      const event = mono<number>();
+
+      expect(event.emitCollect(1)).toEqual([]);
+    });
+
+    it('should skip failed handlers when continueOnError is true', () => {
+      const event = mono<number>({ continueOnError: true });
+
+      event.add(() => 'first');
+      event.add(() => {
+        throw new Error('failure');
+      });
+      event.add(() => undefined);
+
+      expect(event.emitCollect(1)).toEqual(['first', undefined]);
+    });
+  });
+
+  describe('emitReduce', () => {
+    it('should reduce the handler return values', () => {
+      const event = mono<string>();
+
+      event.add((name) => [`${name}-a`]);
+      event.add((name) => [`${name}-b`]);
+
+      const result = event.emitReduce<string[], string[]>('plugin', (all, items) => all.concat(items), []);
+
+      expect(result).toEqual(['plugin-a', 'plugin-b']);
+    });
+  });
+
+  describe('aggregateErrors', () => {
+    it('should run every handler and throw an AggregateError of all failures', () => {
+      const event = mono<string>({ aggregateErrors: true });
+      const caller = {
+        fail() {
+          throw new Error('caller failure');
+        },
+      };
+      const failing = () => {
+        throw new Error('plain failure');
+      };
+      const normalHandler = vi.fn();
+
+      event.add(failing);
+      event.add(normalHandler);
+      event.add(caller, caller.fail);
+
+      let thrown: unknown;
+      try {
+        event.emit('test');
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(normalHandler).toHaveBeenCalledWith('test');
+      expect(thrown).toBeInstanceOf(AggregateError);
+      const { errors } = thrown as AggregateError;
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toBeInstanceOf(MonoHandlerError);
+      expect(errors[0]).toMatchObject({ handler: failing, caller: null, index: 0 });
+      expect(errors[0].cause.message).toBe('plain failure');
+      expect(errors[1]).toMatchObject({ handler: caller.fail, caller, index: 2 });
+    });
+
+    it('should not throw when no handler fails', () => {
+      const event = mono<string>({ aggregateErrors: true });
+      event.add(vi.fn());
+
+      expect(() => event.emit('test')).not.toThrow();
+    });
+  });
+
+  describe('onError', () => {
+    afterEach(() => {
+      setDefaultErrorHandler(null);
+    });
+
+    it('should report handler errors to onError with context', () => {
+      const onError = vi.fn();
+      const event = mono<string>({ onError, continueOnError: true });
+      const error = new Error('Handler error');
+      const caller = {
+        fail() {
+          throw error;
+        },
+      };
+      const normalHandler = vi.fn();
+
+      event.add(caller, caller.fail);
+      event.add(normalHandler);
+      event.emit('test');
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError).toHaveBeenCalledWith(error, { handler: caller.fail, caller, args: 'test', event });
+      expect(normalHandler).toHaveBeenCalledWith('test');
+    });
+
+    it('should report the error before rethrowing it without continueOnError', () => {
+      const onError = vi.fn();
+      const event = mono<string>({ onError });
+
+      event.add(() => {
+        throw new Error('Handler error');
+      });
+
+      expect(() => event.emit('test')).toThrow('Handler error');
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the library-wide default error handler instead of console.error when logErrors is set', () => {
+      const defaultHandler = vi.fn();
+      const consoleErrorMock = vi.spyOn(console, 'error').mockImplementation(() => {});
+      setDefaultErrorHandler(defaultHandler);
+
+      const logged = mono<string>({ logErrors: true, continueOnError: true });
+      const silent = mono<string>({ continueOnError: true });
+      const failing = () => {
+        throw new Error('Handler error');
+      };
+      logged.add(failing);
+      silent.add(failing);
+
+      logged.emit('logged');
+      silent.emit('silent');
+
+      expect(defaultHandler).toHaveBeenCalledTimes(1);
+      expect(defaultHandler.mock.calls[0][1]).toMatchObject({ args: 'logged', event: logged });
+      expect(consoleErrorMock).not.toHaveBeenCalled();
+
+      consoleErrorMock.mockRestore();
+    });
+
+    it('should prefer its own onError over the library-wide default', () => {
+      const defaultHandler = vi.fn();
+      const onError = vi.fn();
+      setDefaultErrorHandler(defaultHandler);
+
+      const event = mono<string>({ logErrors: true, continueOnError: true, onError });
+      event.add(() => {
+        throw new Error('Handler error');
+      });
+      event.emit('test');
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(defaultHandler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelable', () => {
+    it('should pass an event control to handlers and return false when the default is not prevented', () => {
+      const event = mono<string>({ cancelable: true });
+      const handler = vi.fn();
+      event.add(handler);
+
+      expect(event.emit('test')).toBe(false);
+      expect(handler).toHaveBeenCalledWith('test', expect.objectContaining({ defaultPrevented: false }));
+    });
+
+    it('should return true when a handler prevents the default', () => {
+      const event = mono<string>({ cancelable: true });
+      const seen: boolean[] = [];
+      event.add((_, control) => control.preventDefault());
+      event.add((_, control) => {
+        seen.push(control.defaultPrevented);
+      });
+
+      expect(event.emit('test')).toBe(true);
+      expect(seen).toEqual([true]);
+    });
+
+    it('should skip the remaining handlers after stopPropagation', () => {
+      const event = mono<string>({ cancelable: true });
+      const low = vi.fn();
+      event.add(low);
+      event.add((_, control) => control.stopPropagation(), { priority: 1 });
+
+      expect(event.emit('test')).toBe(false);
+      expect(low).not.toHaveBeenCalled();
+    });
+
+    it('should not consume once handlers skipped by stopPropagation', () => {
+      const event = mono<string>({ cancelable: true });
+      const once = vi.fn();
+      const stop = event.add((_, control) => control.stopPropagation(), { priority: 1 });
+      event.add(once, { once: true });
+
+      event.emit('first');
+      stop();
+      event.emit('second');
+
+      expect(once).toHaveBeenCalledTimes(1);
+      expect(once).toHaveBeenCalledWith('second', expect.anything());
+    });
+
+    it('should return false when there are no handlers', () => {
+      const event = mono<string>({ cancelable: true });
+      expect(event.emit('test')).toBe(false);
+    });
+
+    it('should not pass a control or return a value when not cancelable', () => {
+      const event = mono<string>();
+      const handler = vi.fn();
+      event.add(handler);
+
+      expect(event.emit('test')).toBeUndefined();
+      expect(handler).toHaveBeenCalledWith('test');
+    });
+  });
+
+  describe('use', () => {
+    it('should report the failure of an emission delayed by middleware', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const event = mono<number>();
+        const error = new Error('failed');
+        const handler = vi.fn(() => {
+          throw error;
+        });
+        event.add(handler);
+        event.use(async (args, next) => {
+          await null;
+          next(args);
+        });
+
+        expect(() => event.emit(1)).not.toThrow();
+        expect(handler).not.toHaveBeenCalled();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(handler).toHaveBeenCalledWith(1);
+        expect(consoleError).toHaveBeenCalledWith('Error in delayed event emission:', error);
+      } finally {
+        consoleError.mockRestore();
+      }
+    });
+
+    it('should let middleware transform the arguments', () => {
+      const event = mono<number>();
+      const handler = vi.fn();
+      event.add(handler);
+      event.use((args, next) => next(args * 2));
+
+      event.emit(21);
+      expect(handler).toHaveBeenCalledWith(42);
+    });
+
+    it('should block the emission when next is not called', () => {
+      const event = mono<number>();
+      const handler = vi.fn();
+      event.add(handler);
+      event.use((args, next) => {
+        if (args > 0) next(args);
+      });
+
+      event.emit(-1);
+      event.emit(1);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(1);
+    });
+
+    it('should run middleware in registration order and stop running removed middleware', () => {
+      const event = mono<string>();
+      const calls: string[] = [];
+      event.use((args, next) => {
+        calls.push('first');
+        next(args);
+      });
+      const remove = event.use((args, next) => {
+        calls.push('second');
+        next(args);
+      });
+      event.add(() => {
+        calls.push('handler');
+      });
+
+      event.emit('a');
+      remove();
+      event.emit('b');
+      expect(calls).toEqual(['first', 'second', 'handler', 'first', 'handler']);
+    });
+
+    it('should run middleware even when there are no handlers', () => {
+      const event = mono<string>();
+      const middleware = vi.fn();
+      event.use(middleware);
+
+      event.emit('test');
+      expect(middleware).toHaveBeenCalledWith('test', expect.any(Function), event);
+    });
+
+    it('should apply middleware to emitCollect', () => {
+      const event = mono<number>();
+      event.add((n) => n + 1);
+      event.use((args, next) => next(args * 10));
+
+      expect(event.emitCollect<number>(1)).toEqual([11]);
+    });
+
+    it('should report a prevented default of cancelable events through middleware', () => {
+      const event = mono<string>({ cancelable: true });
+      event.add((_, control) => control.preventDefault());
+      event.use((args, next) => next(args));
+
+      expect(event.emit('test')).toBe(true);
+    });
+  });
+
+  describe('useGlobalMiddleware', () => {
+    let removeGlobal: (() => void) | null = null;
+
+    afterEach(() => {
+      removeGlobal?.();
+      removeGlobal = null;
+    });
+
+    it('should run global middleware for every event before the event middleware', () => {
+      const calls: string[] = [];
+      removeGlobal = useGlobalMiddleware((args, next, event) => {
+        calls.push(`global:${args}`);
+        expect(event).toBe(first);
+        return next(args);
+      });
+      const first = mono<string>();
+      first.use((args, next) => {
+        calls.push(`own:${args}`);
+        next(args);
+      });
+      first.add((args) => {
+        calls.push(`handler:${args}`);
+      });
+
+      first.emit('a');
+      expect(calls).toEqual(['global:a', 'own:a', 'handler:a']);
+    });
+
+    it('should stop running global middleware after it is removed', () => {
+      const middleware = vi.fn();
+      const remove = useGlobalMiddleware(middleware);
+      const event = mono<string>();
+      const handler = vi.fn();
+      event.add(handler);
+
+      event.emit('blocked');
+      remove();
+      event.emit('passed');
+
+      expect(middleware).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith('passed');
+    });
+  });
+
+  describe('next and waitFor', () => {
+    it('should resolve next() with the next emitted arguments', async () => {
+      const event = mono<string>();
+      const promise = event.next();
+
+      event.emit('first');
+      event.emit('second');
+
+      await expect(promise).resolves.toBe('first');
+    });
+
+    it('should resolve waitFor() with the first matching arguments', async () => {
+      const event = mono<number>();
+      const promise = event.waitFor((n) => n > 2);
+
+      event.emit(1);
+      event.emit(3);
+
+      await expect(promise).resolves.toBe(3);
+      expect(event.emitCollect(4)).toEqual([]);
+    });
+
+    it('should reject waitFor() when the predicate throws, without failing the emission', async () => {
+      const event = mono<number>();
+      const error = new Error('predicate failed');
+      const promise = event.waitFor(() => {
+        throw error;
+      });
+
+      expect(() => event.emit(1)).not.toThrow();
+
+      await expect(promise).rejects.toBe(error);
+      expect(event.listenerCount()).toBe(0);
+    });
+
+    it('should reject with a MonoTimeoutError and remove its listener after the timeout', async () => {
+      vi.useFakeTimers();
+      try {
+        const event = mono<number>();
+        const promise = event.next({ timeout: 100 });
+        vi.advanceTimersByTime(100);
+
+        await expect(promise).rejects.toBeInstanceOf(MonoTimeoutError);
+        expect(event.emitCollect(1)).toEqual([]);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should reject with the abort reason when the signal aborts', async () => {
+      const event = mono<number>();
+      const controller = new AbortController();
+      const promise = event.waitFor(() => true, { signal: controller.signal });
+
+      controller.abort(new Error('cancelled'));
+
+      await expect(promise).rejects.toThrow('cancelled');
+      expect(event.emitCollect(1)).toEqual([]);
+    });
+
+    it('should reject immediately for an already aborted signal', async () => {
+      const event = mono<number>();
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(event.next({ signal: controller.signal })).rejects.toBe(controller.signal.reason);
+      expect(event.emitCollect(1)).toEqual([]);
+    });
+  });
+
+  describe('iterate', () => {
+    it('should yield emitted arguments and remove the listener when the loop ends', async () => {
+      const event = mono<number>();
+      const iterator = event.iterate();
+      const values: number[] = [];
+
+      event.emit(1);
+      event.emit(2);
+      setTimeout(() => event.emit(3), 0);
+
+      for await (const value of iterator) {
+        values.push(value);
+        if (value === 3) break;
+      }
+
+      expect(values).toEqual([1, 2, 3]);
+      expect(event.emitCollect(4)).toEqual([]);
+    });
+
+    it('should drop the oldest buffered values by default', async () => {
+      const event = mono<number>();
+      const iterator = event.iterate({ bufferSize: 2 });
+
+      for (const n of [1, 2, 3]) event.emit(n);
+
+      await expect(iterator.next()).resolves.toEqual({ value: 2, done: false });
+      await expect(iterator.next()).resolves.toEqual({ value: 3, done: false });
+      await iterator.return?.();
+    });
+
+    it('should drop new values with drop-newest', async () => {
+      const event = mono<number>();
+      const iterator = event.iterate({ bufferSize: 1, overflow: 'drop-newest' });
+
+      event.emit(1);
+      event.emit(2);
+
+      await expect(iterator.next()).resolves.toEqual({ value: 1, done: false });
+      event.emit(3);
+      await expect(iterator.next()).resolves.toEqual({ value: 3, done: false });
+      await iterator.return?.();
+    });
+
+    it('should fail after the buffered values with overflow error', async () => {
+      const event = mono<number>();
+      const iterator = event.iterate({ bufferSize: 1, overflow: 'error' });
+
+      event.emit(1);
+      event.emit(2);
+
+      await expect(iterator.next()).resolves.toEqual({ value: 1, done: false });
+      await expect(iterator.next()).rejects.toBeInstanceOf(MonoBufferOverflowError);
+      await expect(iterator.next()).resolves.toEqual({ value: undefined, done: true });
+      expect(event.emitCollect(3)).toEqual([]);
+    });
+
+    it('should finish pending reads when the iterator is returned', async () => {
+      const event = mono<number>();
+      const iterator = event.iterate();
+      const pending = iterator.next();
+
+      await iterator.return?.();
+
+      await expect(pending).resolves.toEqual({ value: undefined, done: true });
+    });
+  });
+
+  describe('weak listeners', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should call the handler with the weakly held caller and remove it by caller', () => {
+      const event = mono<number>();
+      const view = {
+        seen: [] as number[],
+        handle(n: number) {
+          this.seen.push(n);
+        },
+      };
+      event.add(view, view.handle, { weak: true });
+
+      event.emit(1);
+      expect(event.remove(view, view.handle)).toBe(true);
+      event.emit(2);
+
+      expect(view.seen).toEqual([1]);
+    });
+
+    it('should skip and remove a listener whose caller was collected', () => {
+      const refs: { target: object | undefined }[] = [];
+      vi.stubGlobal(
+        'WeakRef',
+        class {
+          target: object | undefined;
+          constructor(target: object) {
+            this.target = target;
+            refs.push(this);
+          }
+          deref() {
+            return this.target;
+          }
+        },
+      );
+      const event = mono<number>();
+      const handler = vi.fn();
+      event.add({}, handler, { weak: true });
+
+      refs[0].target = undefined;
+
+      expect(event.emitCollect(1)).toEqual([]);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should load and work without FinalizationRegistry when weak is not used', async () => {
+      vi.stubGlobal('FinalizationRegistry', undefined);
+      vi.stubGlobal('WeakRef', undefined);
+      vi.resetModules();
+      try {
+        const { mono: isolatedMono } = await import('../src/mono');
+        const event = isolatedMono<number>();
+        const handler = vi.fn();
+        event.add({}, handler);
+
+        event.emit(1);
+
+        expect(handler).toHaveBeenCalledWith(1);
+      } finally {
+        vi.resetModules();
+      }
+    });
+
+    it('should purge the listener once the caller is garbage collected', async () => {
+      v8.setFlagsFromString('--expose-gc');
+      const gc = vm.runInNewContext('gc') as () => void;
+      const controller = new AbortController();
+      const removeEventListener = vi.spyOn(controller.signal, 'removeEventListener');
+      const event = mono<number>();
+      const handler = vi.fn();
+
+      (() => {
+        event.add({}, handler, { weak: true, signal: controller.signal });
+      })();
+
+      for (let i = 0; i < 10 && removeEventListener.mock.calls.length === 0; i++) {
+        gc();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+
+      // The listener was detached without any emission, running its cleanup
+      expect(removeEventListener).toHaveBeenCalledTimes(1);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should hold the caller strongly without the weak option', () => {
+      const event = mono<number>();
+      const handler = vi.fn();
+      const caller = {};
+      event.add(caller, handler);
+
+      event.emit(1);
+
+      expect(handler.mock.contexts[0]).toBe(caller);
+    });
+  });
+
   describe('emitter', () => {
     it('should provide an emitter function that calls emit with the provided argument', () => {
       const event = mono<string>();
@@ -1,4 +1,6 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { MonoHandlerError, MonoTimeoutError } from '../src/errors';
+import { useGlobalMiddleware } from '../src/middleware';
 import { monoAsync } from '../src/monoAsync';
 import { AsyncEventOptions } from '../src/types';
 
@@ -58,6 +60,106 @@ describe('monoAsync', () => {
       expect(handler).toHaveBeenCalledTimes(1);
       expect(handler).toHaveBeenCalledWith(1);
     });
+    it('should respect priority when running handlers sequentially', async () => {
+      const event = monoAsync<void>();
+      const order: string[] = [];
+
+      event.add(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        order.push('app');
+      });
+      event.add(() => {
+        order.push('once-auth');
+      }, { once: true, priority: 5 });
+      event.add(() => {
+        order.push('logging');
+      }, { prepend: true });
+
+      await event.emit();
+      await event.emit();
+
+      expect(order).toEqual(['once-auth', 'logging', 'app', 'logging', 'app']);
+    });
+    it('should remove handlers when the signal aborts', async () => {
+      const event = monoAsync<number>();
+      const controller = new AbortController();
+      const handler = vi.fn();
+      const onceHandler = vi.fn();
+
+      event.add(handler, { signal: controller.signal });
+      event.add(onceHandler, { once: true, signal: controller.signal });
+      controller.abort();
+      await event.emit(1);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(onceHandler).not.toHaveBeenCalled();
+    });
+
+    it('should not add a handler when the signal is already aborted', async () => {
+      const event = monoAsync<number>();
+      const handler = vi.fn();
+
+      event.add(handler, { signal: AbortSignal.abort() });
+      await event.emit(2);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('filter', () => {
+    it('should only call handlers whose filter matches', async () => {
+      const event = monoAsync<number>({ parallel: true });
+      const even = vi.fn();
+      const odd = vi.fn();
+      event.add(even, { filter: (n) => n % 2 === 0 });
+      event.add(odd, { once: true, filter: (n) => n % 2 === 1 });
+
+      await event.emit(2);
+      await event.emit(3);
+      await event.emit(5);
+
+      expect(even).toHaveBeenCalledTimes(1);
+      expect(even).toHaveBeenCalledWith(2);
+      expect(odd).toHaveBeenCalledTimes(1);
+      expect(odd).toHaveBeenCalledWith(3);
+    });
+
+    it('should handle a filter that throws as a failure of its listener', async () => {
+      const error = new Error('filter failed');
+      const throwing = () => {
+        throw error;
+      };
+
+      for (const parallel of [false, true, 2]) {
+        const onError = vi.fn();
+        const event = monoAsync<number>({ parallel, continueOnError: true, onError });
+        const filtered = vi.fn();
+        const other = vi.fn();
+        event.add(filtered, { filter: throwing });
+        event.add(other);
+
+        await event.emit(1);
+
+        expect(filtered).not.toHaveBeenCalled();
+        expect(other).toHaveBeenCalledWith(1);
+        expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({ handler: filtered }));
+      }
+    });
+
+    it('should reject the emission when a filter throws without continueOnError', async () => {
+      const error = new Error('filter failed');
+      const event = monoAsync<number>({ parallel: true });
+      const handler = vi.fn();
+      event.add(vi.fn(), {
+        filter: () => {
+          throw error;
+        },
+      });
+      event.add(handler);
+
+      await expect(event.emit(1)).rejects.toBe(error);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('remove', () => {
@@ -124,6 +226,43 @@ describe('monoAsync', () => {
     });
   });
 
+  describe('removeByCaller', () => {
+    it('should remove every listener added with the caller', async () => {
+      const event = monoAsync<string>();
+      const view = { a: vi.fn(), b: vi.fn() };
+      const plain = vi.fn();
+
+      event.add(view, view.a);
+      event.add(view, view.b, { once: true });
+      event.add(plain);
+
+      expect(event.removeByCaller(view)).toBe(2);
+      await event.emit('test');
+
+      expect(view.a).not.toHaveBeenCalled();
+      expect(view.b).not.toHaveBeenCalled();
+      expect(plain).toHaveBeenCalledWith('test');
+    });
+  });
+
+  describe('introspection and lifecycle hooks', () => {
+    it('should report listeners and call the hooks', async () => {
+      const onFirstListener = vi.fn();
+      const onLastListener = vi.fn();
+      const event = monoAsync<string>({ onFirstListener, onLastListener });
+      const caller = { handle: vi.fn() };
+
+      event.add(caller, caller.handle, { once: true });
+      expect(onFirstListener).toHaveBeenCalledTimes(1);
+      expect(event.has(caller, caller.handle)).toBe(true);
+      expect(event.getListeners()).toEqual([{ handler: caller.handle, caller, once: true, priority: 0 }]);
+
+      await event.emit('test');
+      expect(onLastListener).toHaveBeenCalledTimes(1);
+      expect(event.listenerCount()).toBe(0);
+    });
+  });
+
   describe('emit', () => {
     it('should call all handlers with the provided argument', async () => {
       const event = monoAsync<number>();
@@ -220,6 +359,376 @@ describe('monoAsync', () => {
 
       expect(sequence).toEqual([2, 1]);
     });
+    it('should limit the number of concurrently running handlers when parallel is a number', async () => {
+      const event = monoAsync<void>({ parallel: 2 });
+      let running = 0;
+      let maxRunning = 0;
+      const started: number[] = [];
+
+      for (let i = 0; i < 5; i++) {
+        event.add(async () => {
+          started.push(i);
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          running--;
+        });
+      }
+
+      await event.emit();
+
+      expect(maxRunning).toBe(2);
+      expect(started).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    it('should reject parallel values that are not positive integers', () => {
+      for (const parallel of [-1, 0, 1.5, Number.NaN]) {
+        expect(() => monoAsync<void>({ parallel })).toThrow(RangeError);
+      }
+      expect(() => monoAsync<void>({ parallel: 1 })).not.toThrow();
+      expect(() => monoAsync<void>({ parallel: Number.POSITIVE_INFINITY })).not.toThrow();
+    });
+
+    it('should not start further handlers after a failure with limited concurrency', async () => {
+      const event = monoAsync<void>({ parallel: 2 });
+      const lateHandler = vi.fn();
+
+      event.add(async () => {
+        throw new Error('failure');
+      });
+      event.add(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      });
+      event.add(lateHandler);
+
+      await expect(event.emit()).rejects.toThrow('failure');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(lateHandler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('emitCollect', () => {
+    it('should resolve with the handler results in execution order', async () => {
+      const event = monoAsync<number>();
+
+      event.add(async (n) => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return n * 2;
+      });
+      event.add((n) => n + 1);
+
+      expect(await event.emitCollect(1)).toEqual([2, 2]);
+    });
+
+    it('should keep execution order when handlers run in parallel', async () => {
+      const event = monoAsync<number>({ parallel: true });
+
+      event.add(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return 'slow';
+      });
+      event.add(async () => 'fast');
+
+      expect(await event.emitCollect(1)).toEqual(['slow', 'fast']);
+    });
+  });
+
+  describe('emitReduce', () => {
+    it('should reduce the handler results', async () => {
+      const event = monoAsync<number>({ parallel: 2 });
+
+      event.add(async (n) => n);
+      event.add(async (n) => n * 10);
+      event.add(async (n) => n * 100);
+
+      expect(await event.emitReduce<number, number>(1, (sum, value) => sum + value, 0)).toBe(111);
+    });
+  });
+
+  describe('onError', () => {
+    it('should report async handler errors to onError with context', async () => {
+      const onError = vi.fn();
+      const event = monoAsync<number>({ onError, continueOnError: true });
+      const error = new Error('async failure');
+      const failing = async () => {
+        throw error;
+      };
+
+      event.add(failing);
+      await event.emit(42);
+
+      expect(onError).toHaveBeenCalledWith(error, { handler: failing, caller: null, args: 42, event });
+    });
+  });
+
+  describe('aggregateErrors', () => {
+    it('should run every handler sequentially and reject with an AggregateError', async () => {
+      const event = monoAsync<number>({ aggregateErrors: true });
+      const normalHandler = vi.fn();
+      const failing = async () => {
+        throw new Error('async failure');
+      };
+
+      event.add(failing);
+      event.add(normalHandler);
+
+      const error = await event.emit(1).catch((e) => e);
+
+      expect(normalHandler).toHaveBeenCalledWith(1);
+      expect(error).toBeInstanceOf(AggregateError);
+      expect(error.errors).toHaveLength(1);
+      expect(error.errors[0]).toBeInstanceOf(MonoHandlerError);
+      expect(error.errors[0]).toMatchObject({ handler: failing, index: 0 });
+    });
+
+    it('should report failures in execution order when running in parallel', async () => {
+      const event = monoAsync<number>({ parallel: 2, aggregateErrors: true });
+
+      event.add(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        throw new Error('slow');
+      });
+      event.add(async () => {
+        throw new Error('fast');
+      });
+      event.add(async () => {
+        throw new Error('last');
+      });
+
+      const error = await event.emit(1).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AggregateError);
+      expect(error.errors.map((e: MonoHandlerError) => e.index)).toEqual([0, 1, 2]);
+    });
+  });
+
+  describe('emit with signal and timeout', () => {
+    it('should pass an AbortSignal to each handler', async () => {
+      const event = monoAsync<number>();
+      const handler = vi.fn();
+
+      event.add(handler);
+      await event.emit(1, { timeout: 100 });
+
+      expect(handler).toHaveBeenCalledWith(1, expect.any(AbortSignal));
+    });
+
+    it('should reject when a handler runs past the timeout', async () => {
+      const event = monoAsync<number>();
+      let handlerSignal: AbortSignal | undefined;
+      const nextHandler = vi.fn();
+
+      event.add((_, signal) => {
+        handlerSignal = signal;
+        return new Promise<void>(() => {}); // Never settles
+      });
+      event.add(nextHandler);
+
+      await expect(event.emit(1, { timeout: 10 })).rejects.toBeInstanceOf(MonoTimeoutError);
+      expect(handlerSignal?.aborted).toBe(true);
+      expect(nextHandler).not.toHaveBeenCalled();
+    });
+
+    it('should skip to the next handler after a timeout when continueOnError is true', async () => {
+      const event = monoAsync<number>({ continueOnError: true });
+      const nextHandler = vi.fn();
+
+      event.add(() => new Promise<void>(() => {}));
+      event.add(nextHandler);
+
+      await event.emit(1, { timeout: 10 });
+
+      expect(nextHandler).toHaveBeenCalledWith(1, expect.any(AbortSignal));
+    });
+
+    it('should reject with the abort reason and not start further handlers', async () => {
+      const event = monoAsync<number>({ continueOnError: true });
+      const controller = new AbortController();
+      const reason = new Error('cancelled');
+      const nextHandler = vi.fn();
+
+      event.add(async () => {
+        controller.abort(reason);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      });
+      event.add(nextHandler);
+
+      await expect(event.emit(1, { signal: controller.signal })).rejects.toBe(reason);
+      expect(nextHandler).not.toHaveBeenCalled();
+    });
+
+    it('should apply the timeout to each handler when running in parallel', async () => {
+      const event = monoAsync<number>({ parallel: true });
+      const fastHandler = vi.fn();
+
+      event.add(() => new Promise<void>(() => {}));
+      event.add(fastHandler);
+
+      await expect(event.emit(1, { timeout: 10 })).rejects.toBeInstanceOf(MonoTimeoutError);
+      expect(fastHandler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cancelable', () => {
+    it('should resolve with true when a handler prevents the default', async () => {
+      const event = monoAsync<number>({ cancelable: true });
+      event.add(async (_, control) => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        control.preventDefault();
+      });
+
+      await expect(event.emit(1)).resolves.toBe(true);
+    });
+
+    it('should resolve with false when the default is not prevented', async () => {
+      const event = monoAsync<number>({ cancelable: true });
+      event.add(vi.fn());
+
+      await expect(event.emit(1)).resolves.toBe(false);
+    });
+
+    it('should stop sequential emission after stopPropagation', async () => {
+      const event = monoAsync<number>({ cancelable: true });
+      const second = vi.fn();
+      event.add(async (_, control) => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        control.stopPropagation();
+      });
+      event.add(second);
+
+      await event.emit(1);
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    it('should not interrupt handlers already started in parallel emission', async () => {
+      const event = monoAsync<number>({ cancelable: true, parallel: true });
+      const second = vi.fn();
+      event.add((_, control) => control.stopPropagation());
+      event.add(second);
+
+      await event.emit(1);
+      expect(second).not.toHaveBeenCalled();
+
+      const started: number[] = [];
+      const concurrent = monoAsync<number>({ cancelable: true, parallel: true });
+      concurrent.add(async (_, control) => {
+        started.push(1);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        control.stopPropagation();
+      });
+      concurrent.add(() => {
+        started.push(2);
+      });
+
+      await concurrent.emit(1);
+      expect(started).toEqual([1, 2]);
+    });
+
+    it('should expose the handler signal on the control when emitted with a timeout', async () => {
+      const event = monoAsync<number>({ cancelable: true });
+      let signal: AbortSignal | undefined;
+      event.add((_, control) => {
+        signal = control.signal;
+      });
+
+      await event.emit(1, { timeout: 100 });
+      expect(signal).toBeInstanceOf(AbortSignal);
+    });
+  });
+
+  describe('use', () => {
+    it('should wait for asynchronous middleware before running handlers', async () => {
+      const event = monoAsync<number>();
+      const calls: string[] = [];
+      event.use(async (args, next) => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        calls.push('middleware');
+        await next(args + 1);
+        calls.push('after');
+      });
+      event.add(async (args) => {
+        calls.push(`handler:${args}`);
+      });
+
+      await event.emit(1);
+      expect(calls).toEqual(['middleware', 'handler:2', 'after']);
+    });
+
+    it('should block the emission when next is not called', async () => {
+      const event = monoAsync<number>();
+      const handler = vi.fn();
+      event.add(handler);
+      event.use(() => {});
+
+      await event.emit(1);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should reject when middleware throws', async () => {
+      const event = monoAsync<number>();
+      event.use(async () => {
+        throw new Error('invalid');
+      });
+
+      await expect(event.emit(1)).rejects.toThrow('invalid');
+    });
+
+    it('should wait for the handlers when middleware does not return the result of next', async () => {
+      const removeGlobal = useGlobalMiddleware((args, next) => {
+        next(args);
+      });
+      try {
+        const event = monoAsync<number>();
+        const values: number[] = [];
+        event.add(async (value) => {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          values.push(value);
+        });
+
+        await event.emit(1);
+        expect(values).toEqual([1]);
+
+        event.add(async () => {
+          throw new Error('failed');
+        });
+        await expect(event.emit(2)).rejects.toThrow('failed');
+      } finally {
+        removeGlobal();
+      }
+    });
+  });
+
+  describe('next and waitFor', () => {
+    it('should resolve with the next matching arguments', async () => {
+      const event = monoAsync<number>();
+      const next = event.next();
+      const even = event.waitFor((n) => n % 2 === 0);
+
+      await event.emit(1);
+      await event.emit(2);
+
+      await expect(next).resolves.toBe(1);
+      await expect(even).resolves.toBe(2);
+    });
+  });
+
+  describe('iterate', () => {
+    it('should yield emissions in order', async () => {
+      const event = monoAsync<string>();
+      const values: string[] = [];
+      const consumer = (async () => {
+        for await (const value of event.iterate()) {
+          values.push(value);
+          if (values.length === 2) break;
+        }
+      })();
+
+      await event.emit('a');
+      await event.emit('b');
+      await consumer;
+
+      expect(values).toEqual(['a', 'b']);
+    });
   });
 
   describe('emitter', () => {
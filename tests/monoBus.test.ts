@@ -0,0 +1,236 @@
+import { describe, expect, it, vi } from 'vitest';
+import { useGlobalMiddleware } from '../src/middleware';
+import { monoBus } from '../src/monoBus';
+
+type Events = {
+  'user:login': { id: number };
+  'user:logout': undefined;
+  tick: number;
+};
+
+describe('monoBus', () => {
+  describe('on/emit', () => {
+    it('should deliver payloads to the listeners of the name', () => {
+      const bus = monoBus<Events>();
+      const login = vi.fn();
+      const tick = vi.fn();
+      bus.on('user:login', login);
+      bus.on('tick', tick);
+
+      bus.emit('user:login', { id: 1 });
+      bus.emit('tick', 2);
+
+      expect(login).toHaveBeenCalledWith({ id: 1 });
+      expect(tick.mock.calls).toEqual([[2]]);
+    });
+
+    it('should ignore names without listeners', () => {
+      const bus = monoBus<Events>();
+
+      expect(() => bus.emit('tick', 1)).not.toThrow();
+    });
+
+    it('should support event options', () => {
+      const bus = monoBus<Events>();
+      const handler = vi.fn();
+      bus.on('tick', handler, { once: true });
+
+      bus.emit('tick', 1);
+      bus.emit('tick', 2);
+
+      expect(handler.mock.calls).toEqual([[1]]);
+    });
+
+    it('should return a function removing the listener', () => {
+      const bus = monoBus<Events>();
+      const handler = vi.fn();
+      const remove = bus.on('tick', handler);
+
+      remove();
+      bus.emit('tick', 1);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('patterns', () => {
+    it("should deliver every event to '*' listeners with its name", () => {
+      const bus = monoBus<Events>();
+      const handler = vi.fn();
+      bus.on('*', handler);
+
+      bus.emit('tick', 1);
+      bus.emit('user:logout', undefined);
+
+      expect(handler.mock.calls).toEqual([
+        [{ name: 'tick', payload: 1 }],
+        [{ name: 'user:logout', payload: undefined }],
+      ]);
+    });
+
+    it('should deliver only the events of a namespace', () => {
+      const bus = monoBus<Events>();
+      const handler = vi.fn();
+      bus.on('user:*', handler);
+
+      bus.emit('tick', 1);
+      bus.emit('user:login', { id: 1 });
+
+      expect(handler.mock.calls).toEqual([[{ name: 'user:login', payload: { id: 1 } }]]);
+    });
+
+    it('should treat other characters of a pattern literally', () => {
+      const bus = monoBus<{ 'a.b': number; axb: number }>();
+      const handler = vi.fn();
+      bus.on('a.*', handler);
+
+      bus.emit('axb', 1);
+      bus.emit('a.b', 2);
+
+      expect(handler.mock.calls).toEqual([[{ name: 'a.b', payload: 2 }]]);
+    });
+
+    it('should call the listeners of the name before the pattern listeners', () => {
+      const bus = monoBus<Events>();
+      const order: string[] = [];
+      bus.on('*', () => order.push('*'));
+      bus.on('tick', () => order.push('tick'));
+
+      bus.emit('tick', 1);
+
+      expect(order).toEqual(['tick', '*']);
+    });
+  });
+
+  describe('off/removeAll', () => {
+    it('should remove a listener by name or pattern', () => {
+      const bus = monoBus<Events>();
+      const handler = vi.fn();
+      const patternHandler = vi.fn();
+      bus.on('tick', handler);
+      bus.on('*', patternHandler);
+
+      expect(bus.off('tick', handler)).toBe(true);
+      expect(bus.off('*', patternHandler)).toBe(true);
+      expect(bus.off('tick', handler)).toBe(false);
+      bus.emit('tick', 1);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(patternHandler).not.toHaveBeenCalled();
+    });
+
+    it('should remove the listeners of a name', () => {
+      const bus = monoBus<Events>();
+      const tick = vi.fn();
+      const login = vi.fn();
+      bus.on('tick', tick);
+      bus.on('user:login', login);
+
+      bus.removeAll('tick');
+      bus.emit('tick', 1);
+      bus.emit('user:login', { id: 1 });
+
+      expect(tick).not.toHaveBeenCalled();
+      expect(login).toHaveBeenCalledTimes(1);
+    });
+
+    it('should remove every listener', () => {
+      const bus = monoBus<Events>();
+      const handler = vi.fn();
+      bus.on('tick', handler);
+      bus.on('*', handler);
+
+      bus.removeAll();
+      bus.emit('tick', 1);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should create a new event after the last listener of a name was removed', () => {
+      const bus = monoBus<Events>();
+      const first = vi.fn();
+      const second = vi.fn();
+      const remove = bus.on('tick', first);
+
+      remove();
+      bus.on('tick', second);
+      remove();
+      bus.emit('tick', 1);
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalledWith(1);
+    });
+
+    it('should not keep an event when its listener was not added', () => {
+      const bus = monoBus<Events>();
+      const controller = new AbortController();
+      controller.abort();
+      const handler = vi.fn();
+      bus.on('tick', handler, { signal: controller.signal });
+      bus.on('*', handler, { signal: controller.signal });
+
+      // Global middleware runs for every emission of an event, so it reveals events kept without listeners
+      const middleware = vi.fn();
+      const removeGlobal = useGlobalMiddleware(middleware);
+      try {
+        bus.emit('tick', 1);
+      } finally {
+        removeGlobal();
+      }
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(middleware).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('options', () => {
+    it('should pass the options to the events', () => {
+      const onError = vi.fn();
+      const bus = monoBus<Events>({ continueOnError: true, logErrors: false, onError });
+      const handler = vi.fn();
+      bus.on('tick', () => {
+        throw new Error('failed');
+      });
+      bus.on('tick', handler);
+
+      bus.emit('tick', 1);
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('async', () => {
+    it('should await the listeners of the name and the patterns', async () => {
+      const bus = monoBus<Events>({ async: true });
+      const order: string[] = [];
+      bus.on('tick', async (value) => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        order.push(`tick ${value}`);
+      });
+      bus.on('*', async ({ name }) => {
+        order.push(`* ${String(name)}`);
+      });
+
+      await bus.emit('tick', 1);
+
+      expect(order).toEqual(['tick 1', '* tick']);
+    });
+
+    it('should support parallel execution', async () => {
+      const bus = monoBus<Events>({ async: true, parallel: true });
+      const order: number[] = [];
+      bus.on('tick', async () => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        order.push(1);
+      });
+      bus.on('tick', async () => {
+        order.push(2);
+      });
+
+      await bus.emit('tick', 0);
+
+      expect(order).toEqual([2, 1]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, expect, it, vi } from 'vitest';
+import { monoComputed, monoState, useGlobalMiddleware } from '../src/index';
+
+describe('monoComputed', () => {
+  it('should compute its value from the states it reads', () => {
+    const a = monoState(1);
+    const b = monoState(2);
+    const sum = monoComputed(() => a.value + b.value);
+
+    expect(sum.value).toBe(3);
+
+    a.set(10);
+    expect(sum.value).toBe(12);
+  });
+
+  it('should recompute lazily and only after a dependency changed', () => {
+    const a = monoState(1);
+    const compute = vi.fn(() => a.value * 2);
+    const doubled = monoComputed(compute);
+
+    expect(compute).not.toHaveBeenCalled();
+
+    expect(doubled.value).toBe(2);
+    expect(doubled.value).toBe(2);
+    expect(compute).toHaveBeenCalledTimes(1);
+
+    a.set(2);
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(doubled.value).toBe(4);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  it('should notify listeners only when its result changes', () => {
+    const n = monoState(1);
+    const parity = monoComputed(() => n.value % 2);
+    const handler = vi.fn();
+    parity.add(handler);
+
+    n.set(3);
+    n.set(4);
+    n.set(6);
+    n.set(7);
+
+    expect(handler.mock.calls).toEqual([[0], [1]]);
+  });
+
+  it('should not notify new listeners of changes made before they were added', () => {
+    const n = monoState(1);
+    const doubled = monoComputed(() => n.value * 2);
+    expect(doubled.value).toBe(2);
+
+    n.set(2);
+    const handler = vi.fn();
+    doubled.add(handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(doubled.value).toBe(4);
+  });
+
+  it('should call new listeners immediately with the current value when requested', () => {
+    const n = monoState(2);
+    const doubled = monoComputed(() => n.value * 2);
+    const handler = vi.fn();
+    doubled.add(handler, { immediate: true });
+
+    expect(handler).toHaveBeenCalledWith(4);
+  });
+
+  it('should follow the dependencies read by the last computation', () => {
+    const useA = monoState(true);
+    const a = monoState('a');
+    const b = monoState('b');
+    const picked = monoComputed(() => (useA.value ? a.value : b.value));
+    const handler = vi.fn();
+    picked.add(handler);
+
+    b.set('b2');
+    expect(handler).not.toHaveBeenCalled();
+
+    useA.set(false);
+    expect(handler).toHaveBeenLastCalledWith('b2');
+
+    a.set('a2');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should depend on other computed states', () => {
+    const n = monoState(1);
+    const doubled = monoComputed(() => n.value * 2);
+    const quadrupled = monoComputed(() => doubled.value * 2);
+    const handler = vi.fn();
+    quadrupled.add(handler);
+
+    n.set(2);
+
+    expect(quadrupled.value).toBe(8);
+    expect(handler).toHaveBeenCalledWith(8);
+  });
+
+  it('should recompute once per change when dependencies share a source', () => {
+    const n = monoState(1);
+    const left = monoComputed(() => n.value + 1);
+    const right = monoComputed(() => n.value * 2);
+    const compute = vi.fn(() => left.value + right.value);
+    const total = monoComputed(compute);
+    const handler = vi.fn();
+    total.add(handler);
+    compute.mockClear();
+
+    n.set(2);
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls).toEqual([[7]]);
+  });
+
+  it('should unsubscribe from its dependencies when its last listener is removed', () => {
+    const n = monoState(1);
+    const compute = vi.fn(() => n.value);
+    const computed = monoComputed(compute);
+    const remove = computed.add(vi.fn());
+    compute.mockClear();
+
+    remove();
+    n.set(2);
+
+    expect(compute).not.toHaveBeenCalled();
+    expect(computed.value).toBe(2);
+  });
+
+  it('should call the lifecycle hooks in addition to subscribing to its dependencies', () => {
+    const n = monoState(1);
+    const onFirstListener = vi.fn();
+    const onLastListener = vi.fn();
+    const doubled = monoComputed(() => n.value * 2, { onFirstListener, onLastListener });
+    const handler = vi.fn();
+
+    const remove = doubled.add(handler);
+    n.set(2);
+    remove();
+
+    expect(handler).toHaveBeenCalledWith(4);
+    expect(onFirstListener).toHaveBeenCalledTimes(1);
+    expect(onLastListener).toHaveBeenCalledTimes(1);
+    expect(n.listenerCount()).toBe(0);
+  });
+
+  it('should use a custom equality function', () => {
+    const list = monoState([1, 2]);
+    const sorted = monoComputed(() => [...list.value].sort(), {
+      equals: (a, b) => a.length === b.length && a.every((v, i) => v === b[i]),
+    });
+    const handler = vi.fn();
+    sorted.add(handler);
+
+    list.set([2, 1]);
+    expect(handler).not.toHaveBeenCalled();
+
+    list.set([3, 1]);
+    expect(handler).toHaveBeenCalledWith([1, 3]);
+  });
+
+  it('should notify listeners of the computed value without running middleware', () => {
+    const removeGlobal = useGlobalMiddleware((args, next) => next((args as number) * 10));
+    try {
+      const count = monoState(1);
+      const doubled = monoComputed(() => count.value * 2);
+      const handler = vi.fn();
+      doubled.add(handler);
+
+      count.set(2);
+
+      expect(doubled.value).toBe(4);
+      expect(handler).toHaveBeenCalledWith(4);
+    } finally {
+      removeGlobal();
+    }
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, it, vi } from 'vitest';
+import { monoComputed, monoEffect, monoState } from '../src/index';
+
+describe('monoEffect', () => {
+  it('should run immediately and whenever a dependency changes', () => {
+    const name = monoState('a');
+    const seen: string[] = [];
+    monoEffect(() => {
+      seen.push(name.value);
+    });
+
+    name.set('b');
+    name.set('b');
+    name.set('c');
+
+    expect(seen).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should stop running once disposed', () => {
+    const n = monoState(0);
+    const effect = vi.fn(() => {
+      n.value;
+    });
+    const dispose = monoEffect(effect);
+
+    dispose();
+    n.set(1);
+
+    expect(effect).toHaveBeenCalledTimes(1);
+  });
+
+  it('should track computed states', () => {
+    const n = monoState(1);
+    const doubled = monoComputed(() => n.value * 2);
+    const seen: number[] = [];
+    monoEffect(() => {
+      seen.push(doubled.value);
+    });
+
+    n.set(2);
+
+    expect(seen).toEqual([2, 4]);
+  });
+
+  it('should run once per change when reading a state and a computed state derived from it', () => {
+    const n = monoState(1);
+    const doubled = monoComputed(() => n.value * 2);
+    const effect = vi.fn(() => {
+      n.value + doubled.value;
+    });
+    monoEffect(effect);
+
+    n.set(2);
+
+    expect(effect).toHaveBeenCalledTimes(2);
+  });
+
+  it('should follow the dependencies read by the last run', () => {
+    const enabled = monoState(true);
+    const n = monoState(0);
+    const effect = vi.fn(() => {
+      if (enabled.value) n.value;
+    });
+    monoEffect(effect);
+
+    enabled.set(false);
+    n.set(1);
+
+    expect(effect).toHaveBeenCalledTimes(2);
+  });
+});
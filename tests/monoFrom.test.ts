@@ -0,0 +1,145 @@
+import { describe, expect, it, vi } from 'vitest';
+import { monoFrom } from '../src/index';
+
+describe('monoFrom', () => {
+  it('should start the producer on the first listener and stop it on the last', () => {
+    const stop = vi.fn();
+    const producer = vi.fn(() => stop);
+    const event = monoFrom<number>(producer);
+
+    expect(producer).not.toHaveBeenCalled();
+
+    const removeFirst = event.add(vi.fn());
+    const removeSecond = event.add(vi.fn());
+    expect(producer).toHaveBeenCalledTimes(1);
+
+    removeFirst();
+    expect(stop).not.toHaveBeenCalled();
+
+    removeSecond();
+    expect(stop).toHaveBeenCalledTimes(1);
+
+    event.add(vi.fn());
+    expect(producer).toHaveBeenCalledTimes(2);
+  });
+
+  it('should deliver the produced values to the listeners', () => {
+    let emit: (value: number) => void = () => {};
+    const event = monoFrom<number>((e) => {
+      emit = e;
+      return () => {};
+    });
+    const handler = vi.fn();
+    event.add(handler);
+
+    emit(1);
+    emit(2);
+
+    expect(handler.mock.calls).toEqual([[1], [2]]);
+    expect(event).not.toHaveProperty('emit');
+  });
+
+  it('should stop the producer when removeAll is called', () => {
+    const stop = vi.fn();
+    const event = monoFrom<number>(() => stop);
+    event.add(vi.fn());
+    event.add(vi.fn());
+
+    event.removeAll();
+
+    expect(stop).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop the producer once its only once listener is consumed', () => {
+    let emit: (value: number) => void = () => {};
+    const stop = vi.fn();
+    const event = monoFrom<number>((e) => {
+      emit = e;
+      return stop;
+    });
+    const handler = vi.fn();
+    event.add(handler, { once: true });
+
+    emit(1);
+
+    expect(handler).toHaveBeenCalledWith(1);
+    expect(stop).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop a producer that emits on start to a once listener', () => {
+    const stop = vi.fn();
+    const event = monoFrom<number>((emit) => {
+      emit(1);
+      return stop;
+    });
+    const handler = vi.fn();
+    event.add(handler, { once: true });
+
+    expect(handler).toHaveBeenCalledWith(1);
+    expect(stop).toHaveBeenCalledTimes(1);
+    expect(event.listenerCount()).toBe(0);
+  });
+
+  it('should work with timers', () => {
+    vi.useFakeTimers();
+    try {
+      const ticks = monoFrom<number>((emit) => {
+        let count = 0;
+        const timer = setInterval(() => emit(++count), 100);
+        return () => clearInterval(timer);
+      });
+      const handler = vi.fn();
+      const remove = ticks.add(handler);
+
+      vi.advanceTimersByTime(250);
+      remove();
+      vi.advanceTimersByTime(250);
+
+      expect(handler.mock.calls).toEqual([[1], [2]]);
+      expect(vi.getTimerCount()).toBe(0);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should call the lifecycle hooks and accept emitter options', () => {
+    const onFirstListener = vi.fn();
+    const onLastListener = vi.fn();
+    const onError = vi.fn();
+    let emit: (value: number) => void = () => {};
+    const event = monoFrom<number>(
+      (e) => {
+        emit = e;
+        return () => {};
+      },
+      { onFirstListener, onLastListener, onError, continueOnError: true },
+    );
+    const error = new Error('failed');
+    const remove = event.add(() => {
+      throw error;
+    });
+
+    emit(1);
+    remove();
+
+    expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({ args: 1 }));
+    expect(onFirstListener).toHaveBeenCalledTimes(1);
+    expect(onLastListener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should call the lifecycle hooks in order when a value emitted on start removes the last listener', () => {
+    const calls: string[] = [];
+    const event = monoFrom<number>(
+      (emit) => {
+        calls.push('start');
+        emit(1);
+        return () => calls.push('stop');
+      },
+      { onFirstListener: () => calls.push('first'), onLastListener: () => calls.push('last') },
+    );
+
+    event.add(() => calls.push('handler'), { once: true });
+
+    expect(calls).toEqual(['first', 'start', 'last', 'handler', 'stop']);
+  });
+});
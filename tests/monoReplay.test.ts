@@ -0,0 +1,162 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { MonoBufferOverflowError } from '../src/errors';
+import { monoReplay } from '../src/monoReplay';
+
+describe('monoReplay', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('add', () => {
+    it('should replay past emissions to a listener added later', () => {
+      const event = monoReplay<string>();
+      event.emit('config');
+      event.emit('auth');
+
+      const handler = vi.fn();
+      event.add(handler);
+
+      expect(handler.mock.calls).toEqual([['config'], ['auth']]);
+    });
+
+    it('should keep delivering new emissions after the replay', () => {
+      const event = monoReplay<number>();
+      event.emit(1);
+
+      const handler = vi.fn();
+      event.add(handler);
+      event.emit(2);
+
+      expect(handler.mock.calls).toEqual([[1], [2]]);
+    });
+
+    it('should replay only the last bufferSize emissions', () => {
+      const event = monoReplay<number>({ bufferSize: 2 });
+      for (const n of [1, 2, 3]) event.emit(n);
+
+      const handler = vi.fn();
+      event.add(handler);
+
+      expect(handler.mock.calls).toEqual([[2], [3]]);
+    });
+
+    it('should not replay emissions older than windowMs', () => {
+      vi.useFakeTimers();
+      const event = monoReplay<number>({ windowMs: 1000 });
+      event.emit(1);
+      vi.advanceTimersByTime(800);
+      event.emit(2);
+      vi.advanceTimersByTime(300);
+
+      const handler = vi.fn();
+      event.add(handler);
+
+      expect(handler.mock.calls).toEqual([[2]]);
+    });
+
+    it('should replay only one emission to a once listener', () => {
+      const event = monoReplay<number>();
+      event.emit(1);
+      event.emit(2);
+
+      const handler = vi.fn();
+      event.add(handler, { once: true });
+      event.emit(3);
+
+      expect(handler.mock.calls).toEqual([[1]]);
+    });
+
+    it('should honor the filter of a once listener during replay', () => {
+      const event = monoReplay<number>();
+      event.emit(1);
+      event.emit(2);
+
+      const handler = vi.fn();
+      event.add(handler, { once: true, filter: (n) => n % 2 === 0 });
+
+      expect(handler.mock.calls).toEqual([[2]]);
+    });
+
+    it('should stop replaying when the listener removes itself', () => {
+      const event = monoReplay<number>();
+      event.emit(1);
+      event.emit(2);
+
+      const calls: number[] = [];
+      const handler = (n: number) => {
+        calls.push(n);
+        event.remove(handler);
+      };
+      event.add(handler);
+
+      expect(calls).toEqual([1]);
+    });
+
+    it('should record emissions without listeners', () => {
+      const event = monoReplay<string>();
+      expect(event.emit('ready')).toBeUndefined();
+
+      const handler = vi.fn();
+      event.add(handler);
+      expect(handler).toHaveBeenCalledWith('ready');
+    });
+
+    it('should apply error handling settings while replaying', () => {
+      const onError = vi.fn();
+      const event = monoReplay<number>({ continueOnError: true, onError });
+      event.emit(1);
+      event.emit(2);
+
+      const handler = vi.fn(() => {
+        throw new Error('fail');
+      });
+      event.add(handler);
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(onError).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject waitFor() when the predicate throws on a replayed emission', async () => {
+      const event = monoReplay<number>();
+      const error = new Error('predicate failed');
+      event.emit(1);
+
+      const promise = event.waitFor(() => {
+        throw error;
+      });
+
+      await expect(promise).rejects.toBe(error);
+      expect(event.listenerCount()).toBe(0);
+    });
+
+    it('should resolve next() with a replayed emission without leaving a timer or abort listener', async () => {
+      vi.useFakeTimers();
+      const event = monoReplay<number>();
+      event.emit(1);
+      const controller = new AbortController();
+      const addEventListener = vi.spyOn(controller.signal, 'addEventListener');
+      const removeEventListener = vi.spyOn(controller.signal, 'removeEventListener');
+
+      const promise = event.next({ timeout: 1500, signal: controller.signal });
+
+      await expect(promise).resolves.toBe(1);
+      expect(vi.getTimerCount()).toBe(0);
+      expect(removeEventListener).toHaveBeenCalledWith('abort', addEventListener.mock.calls[0][1]);
+      expect(event.listenerCount()).toBe(0);
+    });
+
+    it('should fail iterate() when replayed emissions overflow the buffer', async () => {
+      const event = monoReplay<number>();
+      event.emit(1);
+      event.emit(2);
+      event.emit(3);
+
+      const iterator = event.iterate({ bufferSize: 1, overflow: 'error' });
+
+      expect(event.listenerCount()).toBe(0);
+      await expect(iterator.next()).resolves.toEqual({ value: 1, done: false });
+      await expect(iterator.next()).rejects.toBeInstanceOf(MonoBufferOverflowError);
+      await expect(iterator.next()).resolves.toEqual({ value: undefined, done: true });
+    });
+  });
+});
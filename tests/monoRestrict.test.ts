@@ -1,4 +1,5 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { useGlobalMiddleware } from '../src/middleware';
 import { monoRestrict } from '../src/monoRestrict';
 import { EventOptions } from '../src/types';
 
@@ -58,6 +59,58 @@ describe('monoRestrict', () => {
       expect(handler).toHaveBeenCalledTimes(1);
       expect(handler).toHaveBeenCalledWith('first');
     });
+    it('should run handlers in priority order', () => {
+      const { event, emit } = monoRestrict<void>();
+      const order: string[] = [];
+      const app = () => order.push('app');
+
+      event.add(app);
+      event.add(() => order.push('auth'), { priority: 10 });
+      event.add(() => order.push('before-app'), { before: app, once: true });
+
+      emit();
+      emit();
+
+      expect(order).toEqual(['auth', 'before-app', 'app', 'auth', 'app']);
+    });
+    it('should remove handlers when the signal aborts', () => {
+      const { event, emit } = monoRestrict<number>();
+      const controller = new AbortController();
+      const handler = vi.fn();
+      const onceHandler = vi.fn();
+
+      event.add(handler, { signal: controller.signal });
+      event.add(onceHandler, { once: true, signal: controller.signal });
+      controller.abort();
+      emit(1);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(onceHandler).not.toHaveBeenCalled();
+    });
+
+    it('should not add a handler when the signal is already aborted', () => {
+      const { event, emit } = monoRestrict<number>();
+      const handler = vi.fn();
+
+      event.add(handler, { signal: AbortSignal.abort() });
+      emit(2);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('event.add with filter', () => {
+    it('should only call the handler for matching payloads', () => {
+      const { event, emit } = monoRestrict<string>();
+      const handler = vi.fn();
+      event.add(handler, { filter: (s) => s.startsWith('a') });
+
+      emit('apple');
+      emit('banana');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith('apple');
+    });
   });
 
   describe('event.remove', () => {
@@ -124,6 +177,43 @@ describe('monoRestrict', () => {
     });
   });
 
+  describe('event.removeByCaller', () => {
+    it('should remove every listener added with the caller', () => {
+      const { event, emit } = monoRestrict<string>();
+      const view = { a: vi.fn(), b: vi.fn() };
+      const plain = vi.fn();
+
+      event.add(view, view.a);
+      event.add(view, view.b);
+      event.add(plain);
+
+      expect(event.removeByCaller(view)).toBe(2);
+      emit('test');
+
+      expect(view.a).not.toHaveBeenCalled();
+      expect(plain).toHaveBeenCalledWith('test');
+    });
+  });
+
+  describe('event introspection and lifecycle hooks', () => {
+    it('should report listeners and call the hooks', () => {
+      const onFirstListener = vi.fn();
+      const onLastListener = vi.fn();
+      const { event } = monoRestrict<string>({ onFirstListener, onLastListener });
+      const handler = vi.fn();
+
+      const remove = event.add(handler);
+      expect(onFirstListener).toHaveBeenCalledTimes(1);
+      expect(event.listenerCount()).toBe(1);
+      expect(event.has(handler)).toBe(true);
+      expect(event.getListeners()).toEqual([{ handler, caller: null, once: false, priority: 0 }]);
+
+      remove();
+      expect(onLastListener).toHaveBeenCalledTimes(1);
+      expect(event.listenerCount()).toBe(0);
+    });
+  });
+
   describe('emit', () => {
     it('should call all handlers with the provided argument', () => {
       const { event, emit } = monoRestrict<string>();
@@ -187,6 +277,78 @@ describe('monoRestrict', () => {
     });
   });
 
+  describe('onError', () => {
+    it('should report handler errors with the restricted event as context', () => {
+      const onError = vi.fn();
+      const { event, emit } = monoRestrict<string>({ onError, continueOnError: true });
+
+      event.add(() => {
+        throw new Error('failure');
+      });
+      emit('test');
+
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ args: 'test', event }));
+    });
+  });
+
+  describe('aggregateErrors', () => {
+    it('should throw an AggregateError after running every handler', () => {
+      const { event, emit } = monoRestrict<string>({ aggregateErrors: true });
+      const normalHandler = vi.fn();
+
+      event.add(() => {
+        throw new Error('failure');
+      });
+      event.add(normalHandler);
+
+      expect(() => emit('test')).toThrow(AggregateError);
+      expect(normalHandler).toHaveBeenCalledWith('test');
+    });
+  });
+
+  describe('cancelable', () => {
+    it('should report a prevented default from emit', () => {
+      const { event, emit } = monoRestrict<string>({ cancelable: true });
+      const second = vi.fn();
+      event.add((_, control) => {
+        control.preventDefault();
+        control.stopPropagation();
+      });
+      event.add(second);
+
+      expect(emit('test')).toBe(true);
+      expect(second).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('global middleware', () => {
+    it('should apply global middleware to restricted events', () => {
+      const { event, emit } = monoRestrict<number>();
+      const handler = vi.fn();
+      event.add(handler);
+      const remove = useGlobalMiddleware((args, next) => next((args as number) + 1));
+
+      try {
+        emit(1);
+      } finally {
+        remove();
+      }
+      expect(handler).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe('event.waitFor', () => {
+    it('should resolve with the first matching arguments', async () => {
+      const { event, emit } = monoRestrict<string>();
+      const promise = event.waitFor((s) => s === 'ready');
+
+      emit('loading');
+      emit('ready');
+
+      await expect(promise).resolves.toBe('ready');
+    });
+  });
+
   describe('separation of concerns', () => {
     it('should separate event registration from emission', () => {
       const { event, emit } = monoRestrict<string>();
@@ -1,4 +1,5 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { MonoTimeoutError } from '../src/errors';
 import { monoRestrictAsync } from '../src/monoRestrictAsync';
 import { AsyncEventOptions } from '../src/types';
 
@@ -58,6 +59,50 @@ describe('monoRestrictAsync', () => {
       expect(handler).toHaveBeenCalledTimes(1);
       expect(handler).toHaveBeenCalledWith(1);
     });
+    it('should respect priority when running handlers sequentially', async () => {
+      const { event, emit } = monoRestrictAsync<void>();
+      const order: string[] = [];
+
+      event.add(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        order.push('app');
+      });
+      event.add(() => {
+        order.push('once-auth');
+      }, { once: true, priority: 5 });
+      event.add(() => {
+        order.push('logging');
+      }, { prepend: true });
+
+      await emit();
+      await emit();
+
+      expect(order).toEqual(['once-auth', 'logging', 'app', 'logging', 'app']);
+    });
+    it('should remove handlers when the signal aborts', async () => {
+      const { event, emit } = monoRestrictAsync<number>();
+      const controller = new AbortController();
+      const handler = vi.fn();
+      const onceHandler = vi.fn();
+
+      event.add(handler, { signal: controller.signal });
+      event.add(onceHandler, { once: true, signal: controller.signal });
+      controller.abort();
+      await emit(1);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(onceHandler).not.toHaveBeenCalled();
+    });
+
+    it('should not add a handler when the signal is already aborted', async () => {
+      const { event, emit } = monoRestrictAsync<number>();
+      const handler = vi.fn();
+
+      event.add(handler, { signal: AbortSignal.abort() });
+      await emit(2);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
   });
 
   describe('event.remove', () => {
@@ -124,6 +169,24 @@ describe('monoRestrictAsync', () => {
     });
   });
 
+  describe('event introspection and lifecycle hooks', () => {
+    it('should report listeners and call the hooks', () => {
+      const onFirstListener = vi.fn();
+      const onLastListener = vi.fn();
+      const { event } = monoRestrictAsync<string>({ onFirstListener, onLastListener });
+      const handler = vi.fn();
+
+      event.add(handler);
+      expect(onFirstListener).toHaveBeenCalledTimes(1);
+      expect(event.listenerCount()).toBe(1);
+      expect(event.has(handler)).toBe(true);
+
+      event.removeAll();
+      expect(onLastListener).toHaveBeenCalledTimes(1);
+      expect(event.getListeners()).toEqual([]);
+    });
+  });
+
   describe('emit', () => {
     it('should call all handlers with the provided argument', async () => {
       const { event, emit } = monoRestrictAsync<number>();
@@ -220,6 +283,109 @@ describe('monoRestrictAsync', () => {
 
       expect(sequence).toEqual([2, 1]);
     });
+    it('should reject a negative parallel value', () => {
+      expect(() => monoRestrictAsync<void>({ parallel: -1 })).toThrow(RangeError);
+    });
+
+    it('should limit the number of concurrently running handlers when parallel is a number', async () => {
+      const { event, emit } = monoRestrictAsync<void>({ parallel: 3 });
+      let running = 0;
+      let maxRunning = 0;
+
+      for (let i = 0; i < 10; i++) {
+        event.add(
+          async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            running--;
+          },
+          { once: i % 2 === 0 },
+        );
+      }
+
+      await emit();
+
+      expect(maxRunning).toBe(3);
+      expect(running).toBe(0);
+    });
+  });
+
+  describe('onError', () => {
+    it('should report async handler errors with the restricted event as context', async () => {
+      const onError = vi.fn();
+      const { event, emit } = monoRestrictAsync<number>({ onError, continueOnError: true });
+
+      event.add(async () => {
+        throw new Error('failure');
+      });
+      await emit(1);
+
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ args: 1, event }));
+    });
+  });
+
+  describe('aggregateErrors', () => {
+    it('should reject with an AggregateError after running every handler', async () => {
+      const { event, emit } = monoRestrictAsync<number>({ parallel: true, aggregateErrors: true });
+      const normalHandler = vi.fn();
+
+      event.add(async () => {
+        throw new Error('failure');
+      });
+      event.add(normalHandler);
+
+      await expect(emit(1)).rejects.toBeInstanceOf(AggregateError);
+      expect(normalHandler).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('emit with signal and timeout', () => {
+    it('should reject when a handler runs past the timeout', async () => {
+      const { event, emit } = monoRestrictAsync<number>();
+
+      event.add(() => new Promise<void>(() => {}));
+
+      await expect(emit(1, { timeout: 10 })).rejects.toBeInstanceOf(MonoTimeoutError);
+    });
+
+    it('should abort the signal passed to the running handler', async () => {
+      const { event, emit } = monoRestrictAsync<number>();
+      const controller = new AbortController();
+      let handlerSignal: AbortSignal | undefined;
+
+      event.add((_, signal) => {
+        handlerSignal = signal;
+        controller.abort();
+        return new Promise<void>(() => {});
+      });
+
+      await expect(emit(1, { signal: controller.signal })).rejects.toBe(controller.signal.reason);
+      expect(handlerSignal?.aborted).toBe(true);
+    });
+  });
+
+  describe('cancelable', () => {
+    it('should report a prevented default from emit', async () => {
+      const { event, emit } = monoRestrictAsync<string>({ cancelable: true });
+      const second = vi.fn();
+      event.add(async (_, control) => {
+        control.preventDefault();
+        control.stopPropagation();
+      });
+      event.add(second);
+
+      await expect(emit('test')).resolves.toBe(true);
+      expect(second).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('event.next', () => {
+    it('should reject with a MonoTimeoutError when nothing is emitted in time', async () => {
+      const { event } = monoRestrictAsync<string>();
+
+      await expect(event.next({ timeout: 5 })).rejects.toBeInstanceOf(MonoTimeoutError);
+    });
   });
 
   describe('separation of concerns', () => {
@@ -0,0 +1,55 @@
+import { describe, expect, it, vi } from 'vitest';
+import { monoRestrictBus } from '../src/monoRestrictBus';
+
+type Events = {
+  'user:login': { id: number };
+  tick: number;
+};
+
+describe('monoRestrictBus', () => {
+  it('should deliver the emitted payloads to the listeners of the bus', () => {
+    const { bus, emit } = monoRestrictBus<Events>();
+    const handler = vi.fn();
+    const patternHandler = vi.fn();
+    bus.on('tick', handler);
+    bus.on('user:*', patternHandler);
+
+    emit('tick', 1);
+    emit('user:login', { id: 2 });
+
+    expect(handler).toHaveBeenCalledWith(1);
+    expect(patternHandler).toHaveBeenCalledWith({ name: 'user:login', payload: { id: 2 } });
+  });
+
+  it('should not expose emit on the bus', () => {
+    const { bus } = monoRestrictBus<Events>();
+
+    expect((bus as any).emit).toBeUndefined();
+  });
+
+  it('should support off and removeAll on the bus', () => {
+    const { bus, emit } = monoRestrictBus<Events>();
+    const handler = vi.fn();
+    bus.on('tick', handler);
+
+    expect(bus.off('tick', handler)).toBe(true);
+    bus.on('tick', handler);
+    bus.removeAll();
+    emit('tick', 1);
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should return a promise from emit when async', async () => {
+    const { bus, emit } = monoRestrictBus<Events>({ async: true });
+    const values: number[] = [];
+    bus.on('tick', async (value) => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      values.push(value);
+    });
+
+    await emit('tick', 1);
+
+    expect(values).toEqual([1]);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, expect, it, vi } from 'vitest';
+import { monoRestrictReplay } from '../src/monoRestrictReplay';
+
+describe('monoRestrictReplay', () => {
+  describe('event.add', () => {
+    it('should replay past emissions to a listener added later', () => {
+      const { event, emit } = monoRestrictReplay<string>({ bufferSize: 1 });
+      emit('first');
+      emit('second');
+
+      const handler = vi.fn();
+      event.add(handler);
+      emit('third');
+
+      expect(handler.mock.calls).toEqual([['second'], ['third']]);
+    });
+
+    it('should replay with the error handling settings of the emitter', () => {
+      const { event, emit } = monoRestrictReplay<number>();
+      emit(1);
+
+      expect(() =>
+        event.add(() => {
+          throw new Error('fail');
+        }),
+      ).toThrow('fail');
+    });
+  });
+
+  describe('separation of concerns', () => {
+    it('should not expose emit on the event', () => {
+      const { event } = monoRestrictReplay<number>();
+
+      expect(event).not.toHaveProperty('emit');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it, vi } from 'vitest';
+import { mono, monoAsync, monoRestrict, monoScope } from '../src/index';
+
+describe('monoScope', () => {
+  it('should remove every collected listener on dispose', () => {
+    const sync = mono<number>();
+    const async = monoAsync<number>();
+    const { event, emit } = monoRestrict<number>();
+    const handler = vi.fn();
+    const scope = monoScope();
+
+    scope.collect(sync.add(handler));
+    scope.collect(async.add(handler));
+    scope.collect(event.add(handler));
+    scope.dispose();
+
+    sync.emit(1);
+    async.emit(2);
+    emit(3);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(scope.disposed).toBe(true);
+  });
+
+  it('should call collected functions in reverse order', () => {
+    const order: number[] = [];
+    const scope = monoScope();
+    scope.collect(() => order.push(1));
+    scope.collect(() => order.push(2));
+
+    scope.dispose();
+    scope.dispose();
+
+    expect(order).toEqual([2, 1]);
+  });
+
+  it('should call functions collected after dispose immediately', () => {
+    const scope = monoScope();
+    scope.dispose();
+    const unsubscribe = vi.fn();
+
+    expect(scope.collect(unsubscribe)).toBe(unsubscribe);
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  it('should call every function even if some throw', () => {
+    const scope = monoScope();
+    const last = vi.fn();
+    scope.collect(last);
+    scope.collect(() => {
+      throw new Error('first');
+    });
+    scope.collect(() => {
+      throw new Error('second');
+    });
+
+    expect(() => scope.dispose()).toThrow(AggregateError);
+    expect(last).toHaveBeenCalled();
+  });
+
+  it('should rethrow a single error as is', () => {
+    const scope = monoScope();
+    const error = new Error('failed');
+    scope.collect(() => {
+      throw error;
+    });
+
+    expect(() => scope.dispose()).toThrow(error);
+  });
+
+  it('should be disposed at the end of a using block', () => {
+    const event = mono<number>();
+    const handler = vi.fn();
+
+    {
+      using scope = monoScope();
+      scope.collect(event.add(handler));
+      event.emit(1);
+    }
+    event.emit(2);
+
+    expect(handler.mock.calls).toEqual([[1]]);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, expect, it, vi } from 'vitest';
+import { map, monoState, useGlobalMiddleware } from '../src/index';
+
+describe('monoState', () => {
+  it('should expose the current value', () => {
+    const count = monoState(1);
+    expect(count.value).toBe(1);
+
+    count.set(2);
+    expect(count.value).toBe(2);
+  });
+
+  it('should notify listeners only when the value changes', () => {
+    const count = monoState(0);
+    const handler = vi.fn();
+    count.add(handler);
+
+    count.set(1);
+    count.set(1);
+    count.set(2);
+
+    expect(handler.mock.calls).toEqual([[1], [2]]);
+  });
+
+  it('should update the value from the current one', () => {
+    const count = monoState(1);
+    const handler = vi.fn();
+    count.add(handler);
+
+    count.update((n) => n + 1);
+
+    expect(count.value).toBe(2);
+    expect(handler).toHaveBeenCalledWith(2);
+  });
+
+  it('should use a custom equality function', () => {
+    const user = monoState({ id: 1, name: 'a' }, { equals: (a, b) => a.id === b.id });
+    const handler = vi.fn();
+    user.add(handler);
+
+    user.set({ id: 1, name: 'b' });
+    expect(handler).not.toHaveBeenCalled();
+    expect(user.value.name).toBe('a');
+
+    user.set({ id: 2, name: 'c' });
+    expect(handler).toHaveBeenCalledWith({ id: 2, name: 'c' });
+  });
+
+  it('should call new listeners immediately with the current value when requested', () => {
+    const count = monoState(5);
+    const handler = vi.fn();
+    count.add(handler, { immediate: true });
+
+    expect(handler).toHaveBeenCalledWith(5);
+
+    count.set(6);
+    expect(handler).toHaveBeenLastCalledWith(6);
+  });
+
+  it('should consume an immediate once listener with the current value', () => {
+    const count = monoState(5);
+    const handler = vi.fn();
+    count.add(handler, { immediate: true, once: true });
+
+    count.set(6);
+
+    expect(handler.mock.calls).toEqual([[5]]);
+  });
+
+  it('should support caller context and removal', () => {
+    const count = monoState(0);
+    const obj = {
+      seen: [] as number[],
+      handle(n: number) {
+        this.seen.push(n);
+      },
+    };
+    count.add(obj, obj.handle, { immediate: true });
+
+    count.set(1);
+    count.remove(obj, obj.handle);
+    count.set(2);
+
+    expect(obj.seen).toEqual([0, 1]);
+  });
+
+  it('should not expose emit', () => {
+    const count = monoState(0);
+    expect(count).not.toHaveProperty('emit');
+  });
+
+  it('should support pipe', () => {
+    const count = monoState(1);
+    const handler = vi.fn();
+    count.pipe(map((n: number) => n * 10)).add(handler);
+
+    count.set(2);
+
+    expect(handler).toHaveBeenCalledWith(20);
+  });
+
+  it('should notify listeners of the stored value without running middleware', () => {
+    const middleware = vi.fn((args: unknown, next: (args: unknown) => void) => next((args as number) * 10));
+    const removeGlobal = useGlobalMiddleware(middleware);
+    try {
+      const count = monoState(0);
+      const handler = vi.fn();
+      count.add(handler);
+
+      count.set(2);
+
+      expect(count.value).toBe(2);
+      expect(handler).toHaveBeenCalledWith(2);
+      expect(middleware).not.toHaveBeenCalled();
+    } finally {
+      removeGlobal();
+    }
+  });
+});
@@ -0,0 +1,185 @@
+import { EventEmitter } from 'node:events';
+import { describe, expect, it, vi } from 'vitest';
+import { fromNodeEmitter, mono, toNodeEmitter } from '../src/index';
+
+describe('nodeEmitter', () => {
+  describe('fromNodeEmitter', () => {
+    it('should emit the first argument of the Node.js events', () => {
+      const emitter = new EventEmitter();
+      const data = fromNodeEmitter<string>(emitter, 'data');
+      const handler = vi.fn();
+      data.add(handler);
+
+      emitter.emit('data', 'chunk', 'ignored');
+
+      expect(handler).toHaveBeenCalledWith('chunk');
+    });
+
+    it('should emit all arguments as an array with multiArgs', () => {
+      const emitter = new EventEmitter();
+      const exit = fromNodeEmitter<[number, string | null]>(emitter, 'exit', { multiArgs: true });
+      const handler = vi.fn();
+      exit.add(handler);
+
+      emitter.emit('exit', 1, null);
+
+      expect(handler).toHaveBeenCalledWith([1, null]);
+    });
+
+    it('should attach the Node.js listener only while subscribed', () => {
+      const emitter = new EventEmitter();
+      const data = fromNodeEmitter<string>(emitter, 'data');
+
+      expect(emitter.listenerCount('data')).toBe(0);
+
+      const remove = data.add(vi.fn());
+      data.add(vi.fn(), { once: true });
+      expect(emitter.listenerCount('data')).toBe(1);
+
+      emitter.emit('data', 'chunk');
+      remove();
+      expect(emitter.listenerCount('data')).toBe(0);
+    });
+
+    it('should handle the error event only while subscribed', () => {
+      const emitter = new EventEmitter();
+      const errors = fromNodeEmitter<Error>(emitter, 'error');
+      const handler = vi.fn();
+      const error = new Error('failed');
+      const remove = errors.add(handler);
+
+      emitter.emit('error', error);
+      expect(handler).toHaveBeenCalledWith(error);
+
+      remove();
+      expect(() => emitter.emit('error', error)).toThrow(error);
+    });
+
+    it('should apply the error options of the event to its listeners', () => {
+      const emitter = new EventEmitter();
+      const onError = vi.fn();
+      const data = fromNodeEmitter<string>(emitter, 'data', { continueOnError: true, onError });
+      const error = new Error('failed');
+      const next = vi.fn();
+      data.add(() => {
+        throw error;
+      });
+      data.add(next);
+
+      expect(() => emitter.emit('data', 'chunk')).not.toThrow();
+      expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({ args: 'chunk' }));
+      expect(next).toHaveBeenCalledWith('chunk');
+    });
+
+    it('should propagate uncaught listener errors to the emit call', () => {
+      const emitter = new EventEmitter();
+      const data = fromNodeEmitter<string>(emitter, 'data');
+      const error = new Error('failed');
+      data.add(() => {
+        throw error;
+      });
+
+      expect(() => emitter.emit('data', 'chunk')).toThrow(error);
+    });
+  });
+
+  describe('toNodeEmitter', () => {
+    it('should route on, once, off and emit to the events', () => {
+      const message = mono<string>();
+      const emitter = toNodeEmitter({ message });
+      const listener = vi.fn();
+      const onceListener = vi.fn();
+
+      emitter.on('message', listener).once('message', onceListener);
+      expect(message.listenerCount()).toBe(2);
+
+      expect(emitter.emit('message', 'a')).toBe(true);
+      message.emit('b');
+      emitter.off('message', listener);
+
+      expect(emitter.emit('message', 'c')).toBe(false);
+      expect(listener.mock.calls).toEqual([['a'], ['b']]);
+      expect(onceListener.mock.calls).toEqual([['a']]);
+    });
+
+    it('should create events for other names on first use', () => {
+      const emitter = toNodeEmitter<{ data: Buffer }>();
+      const listener = vi.fn();
+
+      emitter.addListener('close', listener);
+      emitter.emit('close');
+      emitter.removeListener('close', listener);
+      emitter.emit('close');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report listener counts and event names', () => {
+      const emitter = toNodeEmitter({ a: mono<number>(), b: mono<number>() });
+      emitter.on('a', vi.fn());
+      emitter.on('a', vi.fn());
+
+      expect(emitter.listenerCount('a')).toBe(2);
+      expect(emitter.listenerCount('b')).toBe(0);
+      expect(emitter.eventNames()).toEqual(['a']);
+
+      emitter.removeAllListeners('a');
+      expect(emitter.eventNames()).toEqual([]);
+    });
+
+    it('should remove the listeners of every event', () => {
+      const a = mono<number>();
+      const b = mono<number>();
+      const emitter = toNodeEmitter({ a, b });
+      emitter.on('a', vi.fn()).on('b', vi.fn());
+
+      emitter.removeAllListeners();
+
+      expect(a.listenerCount() + b.listenerCount()).toBe(0);
+    });
+
+    it('should throw when emitting error without listeners', () => {
+      const emitter = toNodeEmitter({ error: mono<Error>() });
+      const error = new Error('failed');
+
+      expect(() => emitter.emit('error', error)).toThrow(error);
+      expect(() => emitter.emit('error', 'reason')).toThrow('Unhandled error. (reason)');
+
+      const listener = vi.fn();
+      emitter.on('error', listener);
+      expect(emitter.emit('error', error)).toBe(true);
+      expect(listener).toHaveBeenCalledWith(error);
+    });
+
+    it('should follow the error options of the backing event', () => {
+      const onError = vi.fn();
+      const error = new Error('failed');
+      const emitter = toNodeEmitter({
+        lenient: mono<number>({ continueOnError: true, onError }),
+        strict: mono<number>(),
+      });
+      const throwing = () => {
+        throw error;
+      };
+      const next = vi.fn();
+      emitter.on('lenient', throwing).on('lenient', next).on('strict', throwing);
+
+      expect(emitter.emit('lenient', 1)).toBe(true);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(1);
+      expect(() => emitter.emit('strict', 1)).toThrow(error);
+    });
+
+    it('should work with Node.js consumers such as events.once', async () => {
+      const { once } = await import('node:events');
+      const ready = mono<string>();
+      const emitter = toNodeEmitter({ ready });
+
+      const promise = once(emitter as unknown as EventEmitter, 'ready');
+      ready.emit('now');
+
+      await expect(promise).resolves.toEqual(['now']);
+      expect(ready.listenerCount()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, expect, it, vi } from 'vitest';
+import { distinctUntilChanged, filter, map, mono, monoRestrict, scan, take } from '../src/index';
+
+describe('operators', () => {
+  describe('pipe', () => {
+    it('should apply operators in order', () => {
+      const source = mono<number>();
+      const derived = source.pipe(
+        filter((n: number) => n > 0),
+        map((n: number) => `#${n}`),
+      );
+      const handler = vi.fn();
+      derived.add(handler);
+
+      source.emit(-1);
+      source.emit(2);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith('#2');
+    });
+
+    it('should return a read-only event', () => {
+      const derived = mono<number>().pipe(map((n: number) => n * 2));
+
+      expect(derived).not.toHaveProperty('emit');
+    });
+
+    it('should subscribe to the source only while it has listeners', () => {
+      const source = mono<number>();
+      const add = vi.spyOn(source, 'add');
+      const derived = source.pipe(map((n: number) => n + 1));
+
+      expect(add).not.toHaveBeenCalled();
+
+      const first = vi.fn();
+      const second = vi.fn();
+      const removeFirst = derived.add(first);
+      derived.add(second);
+      expect(add).toHaveBeenCalledTimes(1);
+
+      removeFirst();
+      source.emit(1);
+      expect(second).toHaveBeenCalledWith(2);
+
+      derived.remove(second);
+      source.emit(2);
+      expect(second).toHaveBeenCalledTimes(1);
+      // The source has no listeners left once the derived event has none
+      expect(source.emitCollect(3)).toEqual([]);
+    });
+
+    it('should unsubscribe from the source after a once listener has run', () => {
+      const source = mono<number>();
+      const derived = source.pipe(map((n: number) => n));
+      const handler = vi.fn();
+      derived.add(handler, { once: true });
+
+      source.emit(1);
+      source.emit(2);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(source.emitCollect(3)).toEqual([]);
+    });
+
+    it('should support piping derived events', () => {
+      const { event, emit } = monoRestrict<number>();
+      const doubled = event.pipe(map((n: number) => n * 2));
+      const handler = vi.fn();
+      doubled.pipe(map((n: number) => n + 1)).add(handler);
+
+      emit(5);
+
+      expect(handler).toHaveBeenCalledWith(11);
+    });
+  });
+
+  describe('scan', () => {
+    it('should emit the running accumulation and restart on resubscription', () => {
+      const source = mono<number>();
+      const total = source.pipe(scan((sum: number, n: number) => sum + n, 0));
+      const values: number[] = [];
+      const remove = total.add((sum) => {
+        values.push(sum);
+      });
+
+      source.emit(1);
+      source.emit(2);
+      remove();
+      total.add((sum) => {
+        values.push(sum);
+      });
+      source.emit(3);
+
+      expect(values).toEqual([1, 3, 3]);
+    });
+  });
+
+  describe('take', () => {
+    it('should only pass on the first values', () => {
+      const source = mono<string>();
+      const handler = vi.fn();
+      source.pipe(take<string>(2)).add(handler);
+
+      source.emit('a');
+      source.emit('b');
+      source.emit('c');
+
+      expect(handler.mock.calls).toEqual([['a'], ['b']]);
+    });
+  });
+
+  describe('distinctUntilChanged', () => {
+    it('should skip values equal to the previous one', () => {
+      const source = mono<number>();
+      const handler = vi.fn();
+      source.pipe(distinctUntilChanged<number>()).add(handler);
+
+      for (const n of [1, 1, 2, 2, 1]) source.emit(n);
+
+      expect(handler.mock.calls).toEqual([[1], [2], [1]]);
+    });
+
+    it('should use a custom comparison', () => {
+      const source = mono<{ id: number }>();
+      const handler = vi.fn();
+      source.pipe(distinctUntilChanged<{ id: number }>((a, b) => a.id === b.id)).add(handler);
+
+      source.emit({ id: 1 });
+      source.emit({ id: 1 });
+      source.emit({ id: 2 });
+
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+  });
+});